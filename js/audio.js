@@ -0,0 +1,87 @@
+// Sound effects synthesised with the Web Audio API, so the game ships no
+// audio files
+
+// Shape of each effect: an oscillator sweeping from one pitch to another
+// while it fades out
+const SOUND_EFFECTS = {
+  shoot: {
+    wave: "square",
+    frequency: 880,
+    endFrequency: 220,
+    duration: 0.08,
+    volume: 0.08,
+  },
+};
+
+// Seconds before the same effect can play again, so rapid fire and replay
+// seeking don't stack up dozens of voices
+const SOUND_MIN_INTERVAL = 0.04;
+
+class SoundEffects {
+  constructor() {
+    this.context = null; // Created on first use, once the page can play audio
+    this.output = null; // Gain node every effect goes through
+    this.volume = 1;
+    this.muted = false;
+    this.lastPlayed = {}; // Context time each effect last started, by name
+  }
+
+  // Set the output volume (the master and effects volumes multiplied)
+  setVolume(volume) {
+    this.volume = volume;
+    if (this.output) {
+      this.output.gain.value = volume;
+    }
+  }
+
+  // Create the audio context the first time a sound plays
+  // Returns false when the browser has no Web Audio
+  ensureContext() {
+    if (this.context) return true;
+
+    const AudioContext = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContext) return false;
+
+    this.context = new AudioContext();
+    this.output = this.context.createGain();
+    this.output.gain.value = this.volume;
+    this.output.connect(this.context.destination);
+    return true;
+  }
+
+  // Play an effect by name
+  play(name) {
+    if (this.muted || this.volume <= 0 || !this.ensureContext()) return;
+
+    // Browsers keep the context suspended until the player interacts
+    if (this.context.state === "suspended") {
+      this.context.resume().catch(() => {
+        // Still blocked by the autoplay policy: stay silent
+      });
+    }
+
+    const now = this.context.currentTime;
+    if (now - (this.lastPlayed[name] || -Infinity) < SOUND_MIN_INTERVAL) {
+      return;
+    }
+    this.lastPlayed[name] = now;
+
+    const effect = SOUND_EFFECTS[name];
+    const oscillator = this.context.createOscillator();
+    const gain = this.context.createGain();
+
+    oscillator.type = effect.wave;
+    oscillator.frequency.setValueAtTime(effect.frequency, now);
+    oscillator.frequency.exponentialRampToValueAtTime(
+      effect.endFrequency,
+      now + effect.duration
+    );
+    gain.gain.setValueAtTime(effect.volume, now);
+    gain.gain.exponentialRampToValueAtTime(0.001, now + effect.duration);
+
+    oscillator.connect(gain);
+    gain.connect(this.output);
+    oscillator.start(now);
+    oscillator.stop(now + effect.duration);
+  }
+}
@@ -0,0 +1,154 @@
+// Bloom (glow) post-processing on a persistent, downsampled buffer
+
+// Quality tiers: buffer scale, blur taps on each side and tap spacing
+const BLOOM_QUALITY = {
+  off: null,
+  low: { scale: 0.25, taps: 2, spread: 1.5 },
+  high: { scale: 0.5, taps: 4, spread: 1.5 },
+};
+
+// Gaussian weights for the center tap and each side tap, summing to 1
+const getBloomWeights = (settings) => {
+  const sigma = settings.taps / 2;
+  const weights = [];
+  let total = 0;
+
+  for (let i = 0; i <= settings.taps; i++) {
+    const weight = Math.exp(-(i * i) / (2 * sigma * sigma));
+    weights.push(weight);
+    total += i === 0 ? weight : weight * 2;
+  }
+
+  return weights.map((weight) => weight / total);
+};
+
+// Canvas 2D bloom
+class BloomEffect {
+  constructor(quality = "high") {
+    // Bright pixels are copied here at reduced size and blurred in place
+    this.buffer = document.createElement("canvas");
+    this.bufferCtx = this.buffer.getContext("2d");
+
+    // Holds the result of the horizontal blur pass
+    this.blurBuffer = document.createElement("canvas");
+    this.blurCtx = this.blurBuffer.getContext("2d");
+
+    this.width = 0;
+    this.height = 0;
+    this.weights = [];
+
+    // Browsers without canvas filters bloom everything, as if threshold were 0
+    this.supportsFilter = typeof this.bufferCtx.filter === "string";
+
+    this.setThreshold(0.5);
+    this.setIntensity(0.8);
+    this.setQuality(quality);
+  }
+
+  // Switch to another quality tier ("off", "low" or "high")
+  setQuality(quality) {
+    if (!(quality in BLOOM_QUALITY)) {
+      throw new Error(`Unknown bloom quality "${quality}"`);
+    }
+
+    this.quality = quality;
+    this.settings = BLOOM_QUALITY[quality];
+
+    this.weights = this.settings ? getBloomWeights(this.settings) : [];
+
+    this.resize(this.width, this.height);
+  }
+
+  // Set how bright a pixel must be to glow, from 0 (everything) to 0.95
+  setThreshold(threshold) {
+    this.threshold = clamp(threshold, 0, 0.95);
+
+    // brightness() then contrast() maps the threshold to 0 and white to 1,
+    // clipping everything darker
+    const t = this.threshold;
+    this.thresholdFilter =
+      t > 0
+        ? `brightness(${1 / (1 + t)}) contrast(${(1 + t) / (1 - t)})`
+        : "none";
+  }
+
+  // Set how strongly the glow is added back onto the scene, from 0 to 1
+  setIntensity(intensity) {
+    this.intensity = clamp(intensity, 0, 1);
+  }
+
+  // Match the size of the canvas being bloomed
+  resize(width, height) {
+    this.width = width;
+    this.height = height;
+
+    const scale = this.settings ? this.settings.scale : 0;
+    const bufferWidth = Math.ceil(width * scale);
+    const bufferHeight = Math.ceil(height * scale);
+
+    // Resizing a canvas clears it, so only do it when the size changes
+    if (
+      this.buffer.width !== bufferWidth ||
+      this.buffer.height !== bufferHeight
+    ) {
+      this.buffer.width = bufferWidth;
+      this.buffer.height = bufferHeight;
+      this.blurBuffer.width = bufferWidth;
+      this.blurBuffer.height = bufferHeight;
+    }
+  }
+
+  // Add the glow of the source canvas on top of the given context
+  apply(ctx, source) {
+    if (!this.settings || this.intensity <= 0) return;
+    if (this.buffer.width === 0 || this.buffer.height === 0) return;
+
+    const width = this.buffer.width;
+    const height = this.buffer.height;
+
+    // Downsample the bright parts of the scene
+    const bufferCtx = this.bufferCtx;
+    bufferCtx.globalCompositeOperation = "copy";
+    bufferCtx.globalAlpha = 1;
+    if (this.supportsFilter) {
+      bufferCtx.filter = this.thresholdFilter;
+    }
+    bufferCtx.drawImage(source, 0, 0, width, height);
+    if (this.supportsFilter) {
+      bufferCtx.filter = "none";
+    }
+
+    // Separable blur: horizontal into the blur buffer, then vertical back
+    this.blurPass(this.buffer, this.blurCtx, 1, 0);
+    this.blurPass(this.blurBuffer, bufferCtx, 0, 1);
+
+    // Scale the glow back up and add it to the scene
+    ctx.save();
+    ctx.globalCompositeOperation = "lighter";
+    ctx.globalAlpha = this.intensity;
+    ctx.imageSmoothingEnabled = true;
+    ctx.drawImage(this.buffer, 0, 0, this.width, this.height);
+    ctx.restore();
+  }
+
+  // Blur the source along one axis into the target as a weighted sum of
+  // shifted copies
+  blurPass(source, targetCtx, stepX, stepY) {
+    const spread = this.settings.spread;
+
+    targetCtx.globalCompositeOperation = "copy";
+    targetCtx.globalAlpha = this.weights[0];
+    targetCtx.drawImage(source, 0, 0);
+
+    targetCtx.globalCompositeOperation = "lighter";
+    for (let i = 1; i < this.weights.length; i++) {
+      const offset = i * spread;
+      targetCtx.globalAlpha = this.weights[i];
+      targetCtx.drawImage(source, stepX * offset, stepY * offset);
+      targetCtx.drawImage(source, -stepX * offset, -stepY * offset);
+    }
+
+    targetCtx.globalCompositeOperation = "source-over";
+    targetCtx.globalAlpha = 1;
+  }
+}
@@ -0,0 +1,165 @@
+// Broad-phase collision detection with a uniform grid (spatial hash)
+
+class SpatialHash {
+  constructor(cellSize = 64) {
+    this.cellSize = cellSize;
+    this.cells = new Map(); // Cell key -> entries overlapping that cell
+    this.usedCells = []; // Cells filled since the last clear
+    this.entries = []; // Reusable entry records
+    this.count = 0; // Entries in use
+    this.queryStamp = 0; // Used to report each entry once per query
+  }
+
+  // Key for integer cell coordinates
+  cellKey(cellX, cellY) {
+    return (cellX + 32768) * 65536 + (cellY + 32768);
+  }
+
+  // Remove every entry, keeping the storage for the next tick
+  clear() {
+    for (let i = 0; i < this.usedCells.length; i++) {
+      this.usedCells[i].length = 0;
+    }
+    this.usedCells.length = 0;
+    this.count = 0;
+  }
+
+  // Add a circle to every cell its bounding box overlaps
+  insert(item, x, y, radius) {
+    let entry = this.entries[this.count];
+    if (!entry) {
+      entry = { item: null, x: 0, y: 0, radius: 0, stamp: 0 };
+      this.entries.push(entry);
+    }
+    this.count++;
+
+    entry.item = item;
+    entry.x = x;
+    entry.y = y;
+    entry.radius = radius;
+    entry.stamp = -1;
+
+    const minX = Math.floor((x - radius) / this.cellSize);
+    const maxX = Math.floor((x + radius) / this.cellSize);
+    const minY = Math.floor((y - radius) / this.cellSize);
+    const maxY = Math.floor((y + radius) / this.cellSize);
+
+    for (let cellX = minX; cellX <= maxX; cellX++) {
+      for (let cellY = minY; cellY <= maxY; cellY++) {
+        const key = this.cellKey(cellX, cellY);
+        let cell = this.cells.get(key);
+
+        if (!cell) {
+          cell = [];
+          this.cells.set(key, cell);
+        }
+        if (cell.length === 0) {
+          this.usedCells.push(cell);
+        }
+
+        cell.push(entry);
+      }
+    }
+  }
+
+  // Collect every item whose circle overlaps the given circle
+  // Results are written into the given array, which is returned
+  query(x, y, radius, results) {
+    results.length = 0;
+    const stamp = ++this.queryStamp;
+
+    const minX = Math.floor((x - radius) / this.cellSize);
+    const maxX = Math.floor((x + radius) / this.cellSize);
+    const minY = Math.floor((y - radius) / this.cellSize);
+    const maxY = Math.floor((y + radius) / this.cellSize);
+
+    for (let cellX = minX; cellX <= maxX; cellX++) {
+      for (let cellY = minY; cellY <= maxY; cellY++) {
+        const cell = this.cells.get(this.cellKey(cellX, cellY));
+        if (!cell) continue;
+
+        for (let i = 0; i < cell.length; i++) {
+          const entry = cell[i];
+          if (entry.stamp === stamp) continue;
+          entry.stamp = stamp;
+
+          // Narrow phase: circle against circle
+          const dx = entry.x - x;
+          const dy = entry.y - y;
+          const reach = entry.radius + radius;
+          if (dx * dx + dy * dy < reach * reach) {
+            results.push(entry.item);
+          }
+        }
+      }
+    }
+
+    return results;
+  }
+}
+
+// Collision layers shared by player shots, enemy shots, enemies and the player
+class CollisionSystem {
+  constructor(cellSize = 64) {
+    this.enemies = new SpatialHash(cellSize);
+    this.enemyProjectiles = new SpatialHash(cellSize);
+    this.results = [];
+  }
+
+  // Rebuild the grids from the current positions
+  // Enemy projectiles come from an ObjectPool
+  build(enemies, enemyProjectiles) {
+    this.enemies.clear();
+    this.enemyProjectiles.clear();
+
+    for (let i = 0; i < enemies.length; i++) {
+      const enemy = enemies[i];
+      this.enemies.insert(
+        enemy,
+        enemy.position.x,
+        enemy.position.y,
+        enemy.size
+      );
+    }
+
+    for (let i = 0; i < enemyProjectiles.length; i++) {
+      const projectile = enemyProjectiles.items[i];
+      this.enemyProjectiles.insert(
+        projectile,
+        projectile.position.x,
+        projectile.position.y,
+        projectile.size
+      );
+    }
+  }
+
+  // Get the enemies overlapping a circle
+  // The returned array is reused by the next query
+  queryEnemies(x, y, radius) {
+    return this.enemies.query(x, y, radius, this.results);
+  }
+
+  // Get the enemy projectiles overlapping a circle
+  // The returned array is reused by the next query
+  queryEnemyProjectiles(x, y, radius) {
+    return this.enemyProjectiles.query(x, y, radius, this.results);
+  }
+}
+
+// Distance along a ray to where it enters a circle, or -1 if it misses
+// (dx, dy) must be a unit vector; a ray starting inside the circle hits it
+// at distance 0
+const rayCircleDistance = (x, y, dx, dy, cx, cy, radius) => {
+  const toX = cx - x;
+  const toY = cy - y;
+
+  // Closest approach of the ray's line to the centre
+  const along = toX * dx + toY * dy;
+  const missSquared = toX * toX + toY * toY - along * along;
+  const radiusSquared = radius * radius;
+  if (missSquared > radiusSquared) return -1;
+
+  const halfChord = Math.sqrt(radiusSquared - missSquared);
+  if (along - halfChord >= 0) return along - halfChord;
+  return along + halfChord >= 0 ? 0 : -1;
+};
@@ -0,0 +1,387 @@
+// In-game developer console
+// Opened with the backtick key; commands act on the live game
+
+// Enemies the spawn command can create at the cursor, each added through
+// the enemy manager so it gets an id
+const CONSOLE_SPAWNERS = {
+  seeker: (enemies, position) =>
+    enemies.addEnemy(enemies.createSeeker(position, randomColor(enemies.rng))),
+  wanderer: (enemies, position) =>
+    enemies.addEnemy(
+      enemies.createWanderer(position, randomColor(enemies.rng))
+    ),
+  spinner: (enemies, position) =>
+    enemies.addEnemy(enemies.createSpinner(position, randomColor(enemies.rng))),
+  boss: (enemies, position) => {
+    if (enemies.bossActive) {
+      throw new Error("A boss is already active");
+    }
+    return enemies.spawnBoss(position);
+  },
+};
+
+// Enemy manager fields the set command can change, with their lowest value
+const CONSOLE_VARIABLES = {
+  score: 0,
+  scoreMultiplier: 1,
+  spawnRate: 1,
+  maxEnemies: 0,
+};
+
+// Parse a whole number argument
+const parseConsoleNumber = (value, name) => {
+  const number = Number(value);
+  if (value === undefined || !Number.isInteger(number)) {
+    throw new Error(`Expected a whole number for ${name}`);
+  }
+  return number;
+};
+
+// Get the simulation for a command that changes the game
+// The run no longer follows from its input, so its recording is dropped
+const getCheatSimulation = (game) => {
+  if (game.replayPlayer) {
+    throw new Error("Commands are disabled while watching a replay");
+  }
+  if (!game.isRunning) {
+    throw new Error("Start a game first");
+  }
+
+  game.recorder.discard();
+  return game.simulation;
+};
+
+// Every console command
+// args lists the tab completions for each argument
+const CONSOLE_COMMANDS = {
+  help: {
+    usage: "help",
+    description: "List the commands",
+    run: () =>
+      Object.values(CONSOLE_COMMANDS)
+        .map((command) => `${command.usage} - ${command.description}`)
+        .join("\n"),
+  },
+
+  clear: {
+    usage: "clear",
+    description: "Clear the console",
+    run: (game, args, devConsole) => {
+      devConsole.clear();
+    },
+  },
+
+  spawn: {
+    usage: "spawn <type> [count]",
+    description: "Spawn enemies at the cursor",
+    args: [Object.keys(CONSOLE_SPAWNERS)],
+    run: (game, [type, count = "1"]) => {
+      const spawner = CONSOLE_SPAWNERS[type];
+      if (!spawner) {
+        throw new Error(
+          `Unknown enemy type "${type}", expected one of: ${Object.keys(
+            CONSOLE_SPAWNERS
+          ).join(", ")}`
+        );
+      }
+      const total = clamp(parseConsoleNumber(count, "count"), 1, 50);
+
+      const { enemyManager } = getCheatSimulation(game);
+      const { x, y } = game.input.mouse;
+      for (let i = 0; i < total; i++) {
+        spawner(enemyManager, new Vector(x, y));
+      }
+      return `Spawned ${total} ${type} at ${Math.round(x)}, ${Math.round(y)}`;
+    },
+  },
+
+  boss: {
+    usage: "boss",
+    description: "Spawn the boss now",
+    run: (game) => {
+      const { enemyManager } = getCheatSimulation(game);
+      if (enemyManager.bossActive) {
+        throw new Error("A boss is already active");
+      }
+      enemyManager.spawnBoss();
+      return "Boss incoming";
+    },
+  },
+
+  god: {
+    usage: "god [on|off]",
+    description: "Toggle invincibility",
+    args: [["on", "off"]],
+    run: (game, [state]) => {
+      if (state !== undefined && state !== "on" && state !== "off") {
+        throw new Error('Expected "on" or "off"');
+      }
+
+      const { player } = getCheatSimulation(game);
+      player.godMode = state === undefined ? !player.godMode : state === "on";
+      return `God mode ${player.godMode ? "on" : "off"}`;
+    },
+  },
+
+  weapon: {
+    usage: "weapon <name>",
+    description: "Switch to a weapon",
+    args: [Object.keys(WEAPONS)],
+    run: (game, [name]) => {
+      if (!(name in WEAPONS)) {
+        throw new Error(
+          `Unknown weapon "${name}", expected one of: ${Object.keys(
+            WEAPONS
+          ).join(", ")}`
+        );
+      }
+
+      const { player } = getCheatSimulation(game);
+      player.setWeapon(name);
+      return `Weapon ${WEAPONS[name].name}`;
+    },
+  },
+
+  torpedoes: {
+    usage: "torpedoes",
+    description: "Fill the torpedo magazine",
+    run: (game) => {
+      const { player } = getCheatSimulation(game);
+      player.addTorpedoes(TORPEDO.maxAmmo);
+      return `${player.torpedoAmmo} torpedoes`;
+    },
+  },
+
+  bombs: {
+    usage: "bombs",
+    description: "Fill the smart bomb stock",
+    run: (game) => {
+      const { player } = getCheatSimulation(game);
+      player.bombs = SMART_BOMB.maxBombs;
+      return `${player.bombs} bombs`;
+    },
+  },
+
+  set: {
+    usage: "set <name> <value>",
+    description: `Set ${Object.keys(CONSOLE_VARIABLES).join(", ")}`,
+    args: [Object.keys(CONSOLE_VARIABLES)],
+    run: (game, [name, value]) => {
+      if (!(name in CONSOLE_VARIABLES)) {
+        throw new Error(`Unknown variable "${name}"`);
+      }
+      const number = Math.max(
+        parseConsoleNumber(value, name),
+        CONSOLE_VARIABLES[name]
+      );
+
+      const { enemyManager } = getCheatSimulation(game);
+      enemyManager[name] = number;
+
+      // Hold a forced multiplier until a combo changes it
+      if (name === "scoreMultiplier") {
+        enemyManager.multiplierTimer = Infinity;
+      }
+      return `${name} = ${number}`;
+    },
+  },
+
+  timescale: {
+    usage: "timescale <scale>",
+    description: "Slow down or speed up time (0.1 to 4)",
+    run: (game, [scale]) => {
+      const number = Number(scale);
+      if (scale === undefined || !Number.isFinite(number)) {
+        throw new Error("Expected a number for scale");
+      }
+
+      game.setTimeScale(number);
+      return `Time scale ${game.timeScale}x`;
+    },
+  },
+
+  difficulty: {
+    usage: "difficulty <steps>",
+    description: "Skip ahead through the difficulty ramp",
+    run: (game, [steps]) => {
+      const total = clamp(parseConsoleNumber(steps, "steps"), 1, 1000);
+
+      const { enemyManager } = getCheatSimulation(game);
+      for (let i = 0; i < total; i++) {
+        enemyManager.increaseDifficulty();
+      }
+      enemyManager.difficultyTimer = 0;
+      return `spawnRate ${enemyManager.spawnRate}, maxEnemies ${enemyManager.maxEnemies}`;
+    },
+  },
+};
+
+class DevConsole {
+  constructor(element, game) {
+    this.element = element;
+    this.output = element.querySelector(".console-output");
+    this.input = element.querySelector(".console-input");
+    this.game = game;
+
+    this.history = []; // Commands run this session, oldest first
+    this.historyIndex = 0; // Position while browsing the history
+    this.maxLines = 200;
+
+    this.input.addEventListener("keydown", (e) => this.handleKey(e));
+
+    // Keep clicks away from the game controls; key releases still get
+    // through, so keys held when the console opens don't stay stuck down
+    this.element.addEventListener("mousedown", (e) => e.stopPropagation());
+  }
+
+  // Check if the console is showing
+  isOpen() {
+    return !this.element.classList.contains("hidden");
+  }
+
+  // Show the console and focus the command line
+  open() {
+    this.element.classList.remove("hidden");
+    this.input.focus();
+  }
+
+  // Hide the console
+  close() {
+    this.element.classList.add("hidden");
+    this.input.blur();
+  }
+
+  // Open or close the console
+  toggle() {
+    if (this.isOpen()) {
+      this.close();
+    } else {
+      this.open();
+    }
+  }
+
+  // Keys typed on the command line
+  handleKey(e) {
+    // The game's own shortcuts shouldn't fire while typing
+    e.stopPropagation();
+
+    switch (e.key) {
+      case "Enter":
+        this.execute(this.input.value);
+        this.input.value = "";
+        break;
+      case "Tab":
+        e.preventDefault();
+        this.complete();
+        break;
+      case "ArrowUp":
+        e.preventDefault();
+        this.browseHistory(-1);
+        break;
+      case "ArrowDown":
+        e.preventDefault();
+        this.browseHistory(1);
+        break;
+      case "`":
+      case "Escape":
+        e.preventDefault();
+        this.close();
+        break;
+    }
+  }
+
+  // Run a command line
+  execute(line) {
+    const words = line.trim().split(/\s+/);
+    const name = words[0];
+    if (!name) return;
+
+    if (this.history[this.history.length - 1] !== line) {
+      this.history.push(line);
+    }
+    this.historyIndex = this.history.length;
+    this.print(`> ${line}`, "console-command");
+
+    try {
+      const command = CONSOLE_COMMANDS[name];
+      if (!command) {
+        throw new Error(`Unknown command "${name}", try "help"`);
+      }
+
+      const result = command.run(this.game, words.slice(1), this);
+      if (result) {
+        this.print(result);
+      }
+    } catch (e) {
+      this.print(e.message, "console-error");
+    }
+
+    // Show changes made while paused
+    if (this.game.isPaused) {
+      this.game.render();
+    }
+  }
+
+  // Step through the command history (-1 older, 1 newer)
+  browseHistory(direction) {
+    this.historyIndex = clamp(
+      this.historyIndex + direction,
+      0,
+      this.history.length
+    );
+    this.input.value = this.history[this.historyIndex] || "";
+  }
+
+  // Complete the word being typed from the command names or arguments
+  complete() {
+    const words = this.input.value.split(" ");
+    const index = words.length - 1;
+    const prefix = words[index];
+
+    let options = Object.keys(CONSOLE_COMMANDS);
+    if (index > 0) {
+      const command = CONSOLE_COMMANDS[words[0]];
+      options = (command && command.args && command.args[index - 1]) || [];
+    }
+
+    const matches = options.filter((option) => option.startsWith(prefix));
+    if (matches.length === 0) return;
+
+    if (matches.length === 1) {
+      words[index] = matches[0];
+      this.input.value = `${words.join(" ")} `;
+      return;
+    }
+
+    // Several matches: extend to their shared prefix and list them
+    let shared = matches[0];
+    matches.forEach((match) => {
+      while (!match.startsWith(shared)) {
+        shared = shared.slice(0, -1);
+      }
+    });
+    words[index] = shared;
+    this.input.value = words.join(" ");
+    this.print(matches.join("  "));
+  }
+
+  // Add text to the output, dropping the oldest lines past the limit
+  print(text, className) {
+    const line = document.createElement("div");
+    line.textContent = text;
+    if (className) {
+      line.className = className;
+    }
+    this.output.appendChild(line);
+
+    while (this.output.children.length > this.maxLines) {
+      this.output.removeChild(this.output.firstChild);
+    }
+    this.output.scrollTop = this.output.scrollHeight;
+  }
+
+  // Remove all output
+  clear() {
+    this.output.textContent = "";
+  }
+}
@@ -0,0 +1,443 @@
+// Rebindable controls: the actions the player can take and the inputs bound
+// to them, persisted to localStorage
+// A binding names one input: "key:<KeyboardEvent.key in lower case>",
+// "mouse:<button>" or "pad:<standard gamepad button>"
+
+// Storage key for the saved bindings
+const BINDINGS_KEY = "starwars.bindings";
+
+// Every bindable action with its name in the controls menu, in menu order
+const INPUT_ACTIONS = {
+  up: "Thrust Up",
+  down: "Thrust Down",
+  left: "Thrust Left",
+  right: "Thrust Right",
+  dash: "Dash",
+  fire: "Fire",
+  secondary: "Fire Torpedo",
+  bomb: "Smart Bomb",
+  pause: "Pause",
+  freeze: "Debug: Freeze Time",
+  stepBack: "Debug: Step Back",
+  stepForward: "Debug: Step Forward",
+  slower: "Debug: Slower",
+  faster: "Debug: Faster",
+};
+
+// Inputs each action can have bound at once
+const BINDING_SLOTS = 3;
+
+// Keys that always open the developer tools, so can't be bound
+const RESERVED_BINDINGS = ["key:`", "key:f3"];
+
+// Bindings every preset shares: arrow keys, mouse and gamepad
+const COMMON_BINDINGS = {
+  up: ["key:arrowup", "pad:12"],
+  down: ["key:arrowdown", "pad:13"],
+  left: ["key:arrowleft", "pad:14"],
+  right: ["key:arrowright", "pad:15"],
+  dash: ["key:shift", "key:space", "pad:5"],
+  fire: ["mouse:0", "pad:7"],
+  secondary: ["mouse:2", "pad:6"],
+  bomb: ["key:b", "mouse:1", "pad:3"],
+  pause: ["key:escape", "pad:9"],
+  freeze: ["key:f4"],
+  stepBack: ["key:,"],
+  stepForward: ["key:."],
+  slower: ["key:["],
+  faster: ["key:]"],
+};
+
+// Add letter keys for thrust to the common bindings
+const letterBindings = (up, left, down, right) => ({
+  ...COMMON_BINDINGS,
+  up: [`key:${up}`, ...COMMON_BINDINGS.up],
+  down: [`key:${down}`, ...COMMON_BINDINGS.down],
+  left: [`key:${left}`, ...COMMON_BINDINGS.left],
+  right: [`key:${right}`, ...COMMON_BINDINGS.right],
+});
+
+// Ready-made bindings, with the letter keys placed for each keyboard layout
+const BINDING_PRESETS = {
+  qwerty: letterBindings("w", "a", "s", "d"),
+  azerty: letterBindings("z", "q", "s", "d"),
+  // Dvorak's "," is thrust, so stepping uses the keys in the same place as
+  // QWERTY's "," and "."
+  dvorak: {
+    ...letterBindings(",", "a", "o", "e"),
+    stepBack: ["key:w"],
+    stepForward: ["key:v"],
+  },
+  arrows: COMMON_BINDINGS,
+};
+
+const DEFAULT_BINDING_PRESET = "qwerty";
+
+// Short names for keys whose KeyboardEvent.key reads badly
+const KEY_NAMES = {
+  arrowup: "↑",
+  arrowdown: "↓",
+  arrowleft: "←",
+  arrowright: "→",
+  escape: "Esc",
+  space: "Space",
+};
+
+const MOUSE_BUTTON_NAMES = ["Left Click", "Middle Click", "Right Click"];
+
+// Get the binding for the key of a keyboard event
+const getKeyBinding = (e) =>
+  `key:${e.key === " " ? "space" : e.key.toLowerCase()}`;
+
+// Check that a value names an input
+const isValidBinding = (binding) =>
+  typeof binding === "string" && /^(key:.+|mouse:\d+|pad:\d+)$/.test(binding);
+
+// Describe a binding for the controls menu
+const describeBinding = (binding) => {
+  const separator = binding.indexOf(":");
+  const device = binding.slice(0, separator);
+  const name = binding.slice(separator + 1);
+
+  if (device === "mouse") {
+    return MOUSE_BUTTON_NAMES[name] || `Mouse ${name}`;
+  }
+  if (device === "pad") {
+    return GAMEPAD_BUTTON_NAMES[name] || `Pad ${name}`;
+  }
+  return KEY_NAMES[name] || name.charAt(0).toUpperCase() + name.slice(1);
+};
+
+class Bindings {
+  constructor(storage) {
+    this.storage = storage;
+    this.preset = DEFAULT_BINDING_PRESET; // "custom" once anything is rebound
+    this.actions = this.copyPreset(DEFAULT_BINDING_PRESET);
+    this.listeners = [];
+
+    this.load();
+  }
+
+  // Get a preset's bindings as one array of slots per action, empty slots
+  // holding null
+  copyPreset(name) {
+    const actions = {};
+    Object.keys(INPUT_ACTIONS).forEach((action) => {
+      const bindings = BINDING_PRESETS[name][action] || [];
+      actions[action] = Array.from(
+        { length: BINDING_SLOTS },
+        (value, slot) => bindings[slot] || null
+      );
+    });
+    return actions;
+  }
+
+  // Read the saved bindings, dropping anything invalid or bound twice
+  load() {
+    let saved = null;
+    try {
+      saved = JSON.parse(this.storage.getItem(BINDINGS_KEY));
+    } catch (e) {
+      // Storage blocked or corrupt: keep the defaults
+    }
+    if (!saved || typeof saved !== "object" || !saved.actions) return;
+
+    const used = new Set();
+    const keep = (binding) => {
+      if (
+        !isValidBinding(binding) ||
+        RESERVED_BINDINGS.includes(binding) ||
+        used.has(binding)
+      ) {
+        return null;
+      }
+      used.add(binding);
+      return binding;
+    };
+
+    // Actions added since the bindings were saved get their defaults, minus
+    // any input the saved bindings already use
+    const added = Object.keys(INPUT_ACTIONS).filter(
+      (action) => !Array.isArray(saved.actions[action])
+    );
+
+    Object.keys(INPUT_ACTIONS).forEach((action) => {
+      if (added.includes(action)) return;
+
+      const bindings = saved.actions[action];
+      this.actions[action] = Array.from(
+        { length: BINDING_SLOTS },
+        (value, slot) => keep(bindings[slot])
+      );
+    });
+    added.forEach((action) => {
+      this.actions[action] = this.actions[action].map(keep);
+    });
+
+    this.preset = saved.preset in BINDING_PRESETS ? saved.preset : "custom";
+  }
+
+  // Write the bindings to storage
+  save() {
+    try {
+      this.storage.setItem(
+        BINDINGS_KEY,
+        JSON.stringify({ preset: this.preset, actions: this.actions })
+      );
+    } catch (e) {
+      // Storage full or blocked (private browsing): bindings last this session
+    }
+  }
+
+  // Get the slots of an action, empty ones holding null
+  get(action) {
+    return this.actions[action];
+  }
+
+  // Get the action an input is bound to, or null
+  findAction(binding) {
+    return (
+      Object.keys(this.actions).find((action) =>
+        this.actions[action].includes(binding)
+      ) || null
+    );
+  }
+
+  // Get the gamepad buttons bound to an action
+  getGamepadButtons(action) {
+    return this.actions[action]
+      .filter((binding) => binding && binding.startsWith("pad:"))
+      .map((binding) => Number(binding.slice(4)));
+  }
+
+  // Bind an input to a slot of an action, taking it off any other slot so
+  // one input never triggers two actions
+  // Returns the action it was taken from, or null when there was no conflict
+  bind(action, slot, binding) {
+    if (!isValidBinding(binding)) {
+      throw new Error(`Invalid binding: ${binding}`);
+    }
+    if (RESERVED_BINDINGS.includes(binding)) {
+      throw new Error(
+        `${describeBinding(binding)} is kept for developer tools`
+      );
+    }
+
+    const previous = this.findAction(binding);
+    if (previous) {
+      const slots = this.actions[previous];
+      slots[slots.indexOf(binding)] = null;
+    }
+
+    this.actions[action][slot] = binding;
+    this.changed("custom");
+    return previous === action ? null : previous;
+  }
+
+  // Empty a slot of an action
+  clear(action, slot) {
+    this.actions[action][slot] = null;
+    this.changed("custom");
+  }
+
+  // Replace every binding with a preset's
+  applyPreset(name) {
+    if (!(name in BINDING_PRESETS)) {
+      throw new Error(`Unknown controls preset "${name}"`);
+    }
+
+    this.actions = this.copyPreset(name);
+    this.changed(name);
+  }
+
+  // Go back to the default preset
+  reset() {
+    this.applyPreset(DEFAULT_BINDING_PRESET);
+  }
+
+  // Call a function whenever the bindings change
+  onChange(listener) {
+    this.listeners.push(listener);
+  }
+
+  // Save the bindings and tell the listeners
+  changed(preset) {
+    this.preset = preset;
+    this.save();
+    this.listeners.forEach((listener) => listener());
+  }
+}
+
+// Controls section of the settings menu: a preset picker and a row of slots
+// per action; clicking a slot waits for the next key, click or gamepad
+// button to bind to it
+class ControlsPanel {
+  constructor(element, bindings) {
+    this.element = element;
+    this.bindings = bindings;
+    this.presetSelect = element.querySelector(".controls-preset");
+    this.list = element.querySelector(".controls-list");
+    this.message = element.querySelector(".controls-message");
+
+    this.slots = {}; // Slot buttons by action
+    this.capture = null; // { action, slot } waiting for an input
+    this.ignoreClick = false; // Set when a left click was just bound
+    this.padHeld = []; // Gamepad buttons held at the last capture poll
+
+    Object.keys(INPUT_ACTIONS).forEach((action) => {
+      const label = document.createElement("span");
+      label.textContent = INPUT_ACTIONS[action];
+      this.list.appendChild(label);
+
+      this.slots[action] = [];
+      for (let slot = 0; slot < BINDING_SLOTS; slot++) {
+        const button = document.createElement("button");
+        button.className = "binding-slot";
+        button.addEventListener("click", () => {
+          if (this.ignoreClick) {
+            this.ignoreClick = false;
+            return;
+          }
+          this.startCapture(action, slot);
+        });
+        this.list.appendChild(button);
+        this.slots[action].push(button);
+      }
+    });
+
+    this.presetSelect.addEventListener("change", () => {
+      if (this.presetSelect.value in BINDING_PRESETS) {
+        this.cancelCapture();
+        this.bindings.applyPreset(this.presetSelect.value);
+      }
+    });
+
+    // Capturing listeners see the input before the game does
+    window.addEventListener("keydown", (e) => this.captureKey(e), true);
+    window.addEventListener("mousedown", (e) => this.captureMouse(e), true);
+
+    // Right clicks can be bound, so keep the browser menu away
+    element.addEventListener("contextmenu", (e) => e.preventDefault());
+
+    this.bindings.onChange(() => this.refresh());
+    this.refresh();
+  }
+
+  // Check if a slot is waiting for an input
+  isCapturing() {
+    return this.capture !== null;
+  }
+
+  // Wait for the next input to bind to a slot
+  startCapture(action, slot) {
+    this.capture = { action, slot };
+    this.message.textContent =
+      "Press a key, click or gamepad button. Esc cancels, Delete clears.";
+    this.refresh();
+
+    // Only buttons pressed from now on count
+    const gamepad = getGamepad();
+    this.padHeld = gamepad
+      ? gamepad.buttons.map((button, i) => isGamepadButtonPressed(gamepad, i))
+      : [];
+    requestAnimationFrame(() => this.pollCapture());
+  }
+
+  // Stop waiting without changing anything
+  cancelCapture() {
+    if (!this.capture) return;
+
+    this.capture = null;
+    this.message.textContent = "";
+    this.refresh();
+  }
+
+  // Bind an input to the slot being captured, reporting any conflict
+  finishCapture(binding) {
+    const { action, slot } = this.capture;
+    this.capture = null;
+
+    try {
+      const conflict = this.bindings.bind(action, slot, binding);
+      this.message.textContent = conflict
+        ? `${describeBinding(binding)} was taken off ${INPUT_ACTIONS[conflict]}`
+        : "";
+    } catch (e) {
+      this.message.textContent = e.message;
+    }
+    this.refresh();
+  }
+
+  // Keyboard input while capturing
+  captureKey(e) {
+    if (!this.capture) return;
+
+    e.preventDefault();
+    e.stopImmediatePropagation();
+
+    if (e.key === "Escape") {
+      this.cancelCapture();
+    } else if (e.key === "Delete" || e.key === "Backspace") {
+      const { action, slot } = this.capture;
+      this.capture = null;
+      this.message.textContent = "";
+      this.bindings.clear(action, slot);
+    } else {
+      this.finishCapture(getKeyBinding(e));
+    }
+  }
+
+  // Mouse input while capturing
+  captureMouse(e) {
+    if (!this.capture) return;
+
+    e.preventDefault();
+    e.stopImmediatePropagation();
+
+    // The click that ends a bound left click shouldn't start a new capture
+    this.ignoreClick = e.button === 0;
+    this.finishCapture(`mouse:${e.button}`);
+  }
+
+  // Gamepad input while capturing, checked every animation frame
+  pollCapture() {
+    if (!this.capture) return;
+
+    const gamepad = getGamepad();
+    if (gamepad) {
+      const held = gamepad.buttons.map((button, i) =>
+        isGamepadButtonPressed(gamepad, i)
+      );
+      const pressed = held.findIndex((down, i) => down && !this.padHeld[i]);
+      this.padHeld = held;
+
+      if (pressed !== -1) {
+        this.finishCapture(`pad:${pressed}`);
+        return;
+      }
+    }
+    requestAnimationFrame(() => this.pollCapture());
+  }
+
+  // Show the current preset and bindings
+  refresh() {
+    this.presetSelect.value = this.bindings.preset;
+
+    Object.keys(this.slots).forEach((action) => {
+      const bindings = this.bindings.get(action);
+      this.slots[action].forEach((button, slot) => {
+        const capturing =
+          this.capture &&
+          this.capture.action === action &&
+          this.capture.slot === slot;
+
+        button.classList.toggle("capturing", !!capturing);
+        button.textContent = capturing
+          ? "..."
+          : bindings[slot]
+          ? describeBinding(bindings[slot])
+          : "-";
+      });
+    });
+  }
+}
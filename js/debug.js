@@ -0,0 +1,142 @@
+// Developer debug overlay
+// Shows frame stats and entity counts, draws collision circles and lets an
+// enemy be picked with the mouse to watch its fields live
+
+// Enemy fields shown in the inspector, in order (missing ones are skipped)
+const DEBUG_ENEMY_FIELDS = [
+  "type",
+  "health",
+  "maxHealth",
+  "armor",
+  "shootTimer",
+  "shotTimer",
+  "attackPhase",
+  "phaseTimer",
+];
+
+// Time scales the debugger keys step through
+const DEBUG_TIME_SCALES = [0.1, 0.25, 0.5, 1, 2, 4];
+
+class DebugOverlay {
+  constructor(element) {
+    this.element = element; // Text panel for the stats
+    this.enabled = false;
+
+    // Frame stats
+    this.fps = 60; // Smoothed frames per second
+    this.ticks = 0; // Simulation ticks run during the last frame
+    this.smoothing = 0.1;
+
+    this.selected = null; // Enemy being inspected
+  }
+
+  // Show or hide the overlay
+  toggle() {
+    this.enabled = !this.enabled;
+    this.element.classList.toggle("hidden", !this.enabled);
+
+    if (!this.enabled) {
+      this.selected = null;
+    }
+  }
+
+  // Record one rendered frame and the ticks it ran
+  sample(deltaTime, ticks) {
+    this.ticks = ticks;
+
+    if (deltaTime > 0) {
+      this.fps += (1000 / deltaTime - this.fps) * this.smoothing;
+    }
+  }
+
+  // Pick the enemy under a point for inspection, or clear the selection
+  select(x, y, enemies) {
+    this.selected = null;
+
+    // Search from the top of the draw order down
+    for (let i = enemies.length - 1; i >= 0; i--) {
+      const enemy = enemies[i];
+      const dx = enemy.position.x - x;
+      const dy = enemy.position.y - y;
+
+      if (dx * dx + dy * dy <= enemy.size * enemy.size) {
+        this.selected = enemy;
+        return enemy;
+      }
+    }
+
+    return null;
+  }
+
+  // Draw the collision circles and refresh the stats panel
+  render(renderer, game) {
+    if (!this.enabled) return;
+
+    const simulation = game.simulation;
+    const { player, enemyManager, particles } = simulation;
+    const enemies = enemyManager.enemies;
+    const ctx = renderer.ctx;
+
+    // Drop the selection once the enemy is gone
+    if (this.selected && !enemies.includes(this.selected)) {
+      this.selected = null;
+    }
+
+    ctx.save();
+    ctx.lineWidth = 1;
+
+    // Player hitbox
+    if (player.alive) {
+      ctx.strokeStyle = "#0f0";
+      ctx.beginPath();
+      ctx.arc(
+        player.position.x,
+        player.position.y,
+        player.getHitRadius(),
+        0,
+        Math.PI * 2
+      );
+      ctx.stroke();
+    }
+
+    // Enemy hitboxes, with the inspected enemy highlighted
+    for (let i = 0; i < enemies.length; i++) {
+      const enemy = enemies[i];
+      ctx.strokeStyle = enemy === this.selected ? "#ff0" : "#f00";
+      ctx.beginPath();
+      ctx.arc(enemy.position.x, enemy.position.y, enemy.size, 0, Math.PI * 2);
+      ctx.stroke();
+    }
+
+    ctx.restore();
+
+    // Why WebGL was given up on, when it was
+    const fallback = game.renderer.fallbackReason;
+
+    const lines = [
+      `FPS ${Math.round(this.fps)}`,
+      `Renderer ${game.renderer.type}${fallback ? ` (${fallback})` : ""}`,
+      `Ticks/frame ${this.ticks}`,
+      `Tick ${simulation.tick}`,
+      `Time ${game.timeScale}x${game.frozen ? " frozen" : ""}`,
+      `History ${game.history.length} ticks`,
+      `Enemies ${enemies.length}`,
+      `Enemy shots ${enemyManager.enemyProjectiles.length}`,
+      `Player shots ${player.projectiles.length}`,
+      `Pickups ${enemyManager.pickups.length}`,
+      `Particles ${particles.particles.length}`,
+      `Trails ${particles.trailParticles.length}`,
+    ];
+
+    if (this.selected) {
+      lines.push("");
+      DEBUG_ENEMY_FIELDS.forEach((field) => {
+        if (field in this.selected) {
+          lines.push(`${field} ${this.selected[field]}`);
+        }
+      });
+    }
+
+    this.element.textContent = lines.join("\n");
+  }
+}
@@ -1,15 +1,38 @@
 // Enemy classes and spawning logic
 
+// Base stats for each enemy type
+// Armor is subtracted from the damage of every hit, down to a minimum of 1
+const ENEMY_TYPES = {
+  seeker: { size: 10, health: 10, armor: 0, value: 100 },
+  wanderer: { size: 15, health: 10, armor: 0, value: 50 },
+  spinner: { size: 12, health: 10, armor: 0, value: 150 },
+  boss: { size: 45, health: 160, armor: 2, value: 1000 }, // 20 blaster hits
+};
+
+// Damage an enemy shot deals to the player: bigger and faster shots hit harder
+const getShotDamage = (size, speed) => size * speed;
+
+// Damage from ramming an enemy, growing with its size
+const getContactDamage = (enemy) => enemy.size * 2;
+
 class EnemyManager {
-  constructor(canvas, ctx, particles, player, grid) {
-    this.canvas = canvas;
-    this.ctx = ctx;
+  constructor(bounds, particles, player, grid, rng) {
+    this.bounds = bounds;
     this.particles = particles;
     this.player = player;
     this.grid = grid;
+    this.rng = rng;
+
+    // Render-only flicker uses its own stream so drawing never shifts the
+    // gameplay sequence
+    this.fxRng = rng.derive("enemy-fx");
 
     this.enemies = [];
-    this.enemyProjectiles = []; // Array for enemy projectiles
+    this.nextEnemyId = 0; // Ids let torpedoes keep track of their targets
+    this.pickups = []; // Weapon pickups dropped by destroyed enemies
+    this.enemyProjectiles = new ObjectPool(createProjectile, 256); // Pool for enemy projectiles
+    this.damageEvents = []; // Damage dealt to enemies during the last tick
+    this.collisions = new CollisionSystem(64); // Broad phase for all hits
     this.spawnTimer = 0;
     this.spawnRate = 120; // Frames between spawns
     this.difficultyTimer = 0;
@@ -20,6 +43,10 @@ class EnemyManager {
     this.combo = 0;
     this.comboTimer = 0;
     this.multiplierTimer = 0;
+    this.extraLifeScore = 10000; // Points between extra lives
+    this.nextExtraLife = this.extraLifeScore;
+    this.nextBomb = SMART_BOMB.scoreInterval; // Score that earns a bomb
+    this.bombing = false; // Set while a bomb goes off; its kills skip the combo
     this.frameCount = 0; // Track frames for optimization
 
     // Boss properties
@@ -32,13 +59,13 @@ class EnemyManager {
   update() {
     // Increment frame counter
     this.frameCount++;
+    this.damageEvents.length = 0;
 
     // Update boss timer
     if (!this.bossActive) {
       this.bossTimer--;
       if (this.bossTimer <= 0) {
         this.spawnBoss();
-        this.bossTimer = this.bossSpawnThreshold;
       }
     }
 
@@ -66,8 +93,13 @@ class EnemyManager {
       // Update enemy position and behavior
       enemy.update();
 
+      // Fade out the hit flash
+      if (enemy.hitFlash > 0) {
+        enemy.hitFlash--;
+      }
+
       // Add trail particles for some enemy types
-      if (enemy.type !== "wanderer" && Math.random() < 0.2) {
+      if (enemy.type !== "wanderer" && this.particles.rollTrail(0.2)) {
         this.particles.addTrail(
           enemy.position.x,
           enemy.position.y,
@@ -75,107 +107,24 @@ class EnemyManager {
           1 + enemy.size / 10
         );
       }
+    }
 
-      // Check for collision with player
-      if (this.player.checkCollision(enemy)) {
-        this.player.die(this.grid);
-        // Don't remove the enemy, let it continue
-      }
-
-      // Check for collision with player projectiles
-      if (this.player.checkProjectileCollision(enemy)) {
-        if (enemy.health) {
-          // Boss or other multi-hit enemy
-          enemy.health--;
-
-          // Track hit time for collision throttling in player.js
-          enemy.lastHitTime = performance.now();
-
-          // Create hit effect with reduced particles for performance
-          const particleCount = enemy.isBoss ? 5 : 15; // Further reduced for boss
-
-          // For boss hits, only create visual effects every 3rd hit to improve performance
-          let shouldCreateEffects = !enemy.isBoss || enemy.health % 3 === 0;
-
-          // Always show effects when boss is nearly destroyed
-          if (enemy.isBoss && enemy.health <= 3) {
-            shouldCreateEffects = true;
-          }
-
-          // Only create particles if allowed and we have available slots
-          const availableParticles =
-            this.particles.maxParticles - this.particles.particles.length;
-          if (shouldCreateEffects && availableParticles > particleCount) {
-            if (enemy.isBoss) {
-              // Use the optimized boss hit effect
-              this.particles.createBossHitEffect(
-                enemy.position.x + random(-enemy.size / 4, enemy.size / 4),
-                enemy.position.y + random(-enemy.size / 4, enemy.size / 4)
-              );
-            } else {
-              // Normal hit effect for regular enemies
-              this.particles.createExplosion(
-                enemy.position.x + random(-enemy.size / 3, enemy.size / 3),
-                enemy.position.y + random(-enemy.size / 3, enemy.size / 3),
-                particleCount,
-                "#ffffff",
-                1.5, // Reduced speed
-                1.5, // Reduced size
-                0.08 // Faster decay
-              );
-            }
-          }
-
-          // Generate score for each hit
-          const hitPoints = 50;
-          this.score += hitPoints;
-
-          // Limit score text frequency for boss to improve performance
-          // Only show score text on every 5th hit
-          if (
-            (!enemy.isBoss || enemy.health % 5 === 0) &&
-            (!enemy.lastScoreTime ||
-              performance.now() - enemy.lastScoreTime > 300)
-          ) {
-            this.particles.createScoreText(
-              enemy.position.x,
-              enemy.position.y - enemy.size,
-              hitPoints.toString(),
-              "#ffffff"
-            );
-            enemy.lastScoreTime = performance.now();
-          }
-
-          // If health depleted, destroy the enemy
-          if (enemy.health <= 0) {
-            this.destroyEnemy(enemy, i);
-          }
-        } else {
-          // Regular one-hit enemy
-          this.destroyEnemy(enemy, i);
-        }
-        continue; // Skip the rest of this iteration
-      }
-
-      // Remove if off screen by a large margin
-      if (
-        enemy.position.x < -100 ||
-        enemy.position.x > this.canvas.width + 100 ||
-        enemy.position.y < -100 ||
-        enemy.position.y > this.canvas.height + 100
-      ) {
-        this.enemies.splice(i, 1);
-
-        // If it was a boss, update boss active state
-        if (enemy.isBoss) {
-          this.bossActive = false;
-        }
-      }
+    // Set off a smart bomb dropped this tick
+    if (this.player.bombPending) {
+      this.player.bombPending = false;
+      this.detonateBomb(this.player.position.x, this.player.position.y);
     }
 
     // Update enemy projectiles
     this.updateProjectiles();
 
+    // Check every collision for this tick
+    this.resolveCollisions();
+    this.updatePickups();
+
+    // Remove destroyed enemies and those that left the screen
+    this.removeEnemies();
+
     // Update combo timer
     if (this.combo > 0) {
       this.comboTimer--;
@@ -193,16 +142,16 @@ class EnemyManager {
     }
   }
 
-  // Update and check collisions for enemy projectiles
+  // Update enemy projectiles
   updateProjectiles() {
     for (let i = this.enemyProjectiles.length - 1; i >= 0; i--) {
-      const projectile = this.enemyProjectiles[i];
+      const projectile = this.enemyProjectiles.items[i];
 
       // Update position
       projectile.position.add(projectile.velocity);
 
       // Add trail particles
-      if (Math.random() < 0.3) {
+      if (this.particles.rollTrail(0.3)) {
         this.particles.addTrail(
           projectile.position.x,
           projectile.position.y,
@@ -211,28 +160,355 @@ class EnemyManager {
         );
       }
 
-      // Check collision with player
-      if (this.player.alive && !this.player.invulnerable) {
-        const distance = Math.sqrt(
-          Math.pow(projectile.position.x - this.player.position.x, 2) +
-            Math.pow(projectile.position.y - this.player.position.y, 2)
-        );
-
-        if (distance < this.player.size + projectile.size) {
-          this.player.die(this.grid);
-          this.enemyProjectiles.splice(i, 1);
-          continue;
-        }
-      }
-
       // Remove if off screen
       if (
         projectile.position.x < -20 ||
-        projectile.position.x > this.canvas.width + 20 ||
+        projectile.position.x > this.bounds.width + 20 ||
         projectile.position.y < -20 ||
-        projectile.position.y > this.canvas.height + 20
+        projectile.position.y > this.bounds.height + 20
       ) {
-        this.enemyProjectiles.splice(i, 1);
+        this.enemyProjectiles.release(i);
+      }
+    }
+  }
+
+  // Check collisions between player, enemies and both sets of projectiles
+  // All checks go through the spatial hash, so each one only looks at
+  // nearby objects instead of every pair
+  resolveCollisions() {
+    const player = this.player;
+    this.collisions.build(this.enemies, this.enemyProjectiles);
+
+    // Player projectiles against enemies
+    const projectiles = player.projectiles;
+    for (let i = projectiles.length - 1; i >= 0; i--) {
+      const projectile = projectiles.items[i];
+      const hits = this.collisions.queryEnemies(
+        projectile.position.x,
+        projectile.position.y,
+        projectile.size
+      );
+
+      for (let j = 0; j < hits.length; j++) {
+        const enemy = hits[j];
+        if (enemy.destroyed) continue;
+
+        // Piercing shots carry on, hitting each enemy once
+        if (projectile.pierce) {
+          if (!projectile.hits.includes(enemy.id)) {
+            projectile.hits.push(enemy.id);
+            this.damageEnemy(enemy, projectile.damage);
+          }
+        } else {
+          projectiles.release(i);
+          this.damageEnemy(enemy, projectile.damage);
+          break;
+        }
+      }
+    }
+
+    this.resolveBeams();
+    this.resolveTorpedoes();
+
+    if (
+      !player.alive ||
+      player.invulnerable ||
+      player.isDashing() ||
+      player.godMode
+    ) {
+      return;
+    }
+
+    // Enemies against player: ramming hurts, then knocks the ship clear
+    if (player.contactCooldown <= 0) {
+      const touching = this.collisions.queryEnemies(
+        player.position.x,
+        player.position.y,
+        player.getHitRadius()
+      );
+
+      for (let i = 0; i < touching.length; i++) {
+        const enemy = touching[i];
+        if (!enemy.destroyed) {
+          // Don't remove the enemy, let it continue
+          player.takeDamage(
+            getContactDamage(enemy),
+            enemy.position.x,
+            enemy.position.y,
+            this.grid
+          );
+          player.knockBack(enemy.position.x, enemy.position.y);
+          break;
+        }
+      }
+    }
+
+    // Enemy projectiles against player
+    const shots = this.collisions.queryEnemyProjectiles(
+      player.position.x,
+      player.position.y,
+      player.size
+    );
+
+    for (let i = 0; i < shots.length && player.alive; i++) {
+      const shot = shots[i];
+      player.takeDamage(
+        shot.damage,
+        shot.position.x,
+        shot.position.y,
+        this.grid
+      );
+      this.enemyProjectiles.releaseItem(shot);
+    }
+  }
+
+  // Trace the player's beams through the enemies
+  // A piercing beam damages everything along it; otherwise it stops at the
+  // first enemy, which also cuts it short
+  resolveBeams() {
+    const player = this.player;
+
+    for (let b = 0; b < player.beamCount; b++) {
+      const beam = player.beams[b];
+      const dx = Math.cos(beam.angle);
+      const dy = Math.sin(beam.angle);
+      const hits = [];
+
+      for (let i = 0; i < this.enemies.length; i++) {
+        const enemy = this.enemies[i];
+        if (enemy.destroyed) continue;
+
+        const distance = rayCircleDistance(
+          beam.x,
+          beam.y,
+          dx,
+          dy,
+          enemy.position.x,
+          enemy.position.y,
+          enemy.size
+        );
+        if (distance >= 0 && distance <= beam.range) {
+          hits.push({ enemy, distance });
+        }
+      }
+      if (hits.length === 0) continue;
+
+      hits.sort((a, b) => a.distance - b.distance);
+      if (!beam.pierce) {
+        hits.length = 1;
+        beam.length = hits[0].distance;
+      }
+
+      if (beam.damage > 0) {
+        hits.forEach((hit) => {
+          if (!hit.enemy.destroyed) {
+            this.damageEnemy(hit.enemy, beam.damage);
+          }
+        });
+      }
+    }
+  }
+
+  // Guide the player's torpedoes and set off those that hit or burn out
+  // Each locks on to the nearest enemy and chases it, picking a new target
+  // when that one is gone
+  resolveTorpedoes() {
+    const torpedoes = this.player.torpedoes;
+
+    for (let i = torpedoes.length - 1; i >= 0; i--) {
+      const torpedo = torpedoes[i];
+      const { x, y } = torpedo.position;
+
+      let target = this.enemies.find(
+        (enemy) => enemy.id === torpedo.targetId && !enemy.destroyed
+      );
+      if (!target) {
+        target = this.findNearestEnemy(x, y);
+        torpedo.targetId = target ? target.id : null;
+      }
+      if (target) {
+        steerTorpedo(torpedo, target.position.x, target.position.y);
+      }
+
+      const hit = this.collisions
+        .queryEnemies(x, y, TORPEDO.size)
+        .some((enemy) => !enemy.destroyed);
+
+      if (hit || torpedo.timer <= 0) {
+        torpedoes.splice(i, 1);
+        this.detonateTorpedo(torpedo);
+      }
+    }
+  }
+
+  // Set off a smart bomb: every enemy but the boss is destroyed, the boss
+  // takes heavy damage and every enemy shot is wiped out
+  // Bomb kills score, but break the combo instead of adding to it
+  detonateBomb(x, y) {
+    // The shockwave goes first, so the explosions can't crowd it out
+    this.particles.createShockwave(
+      x,
+      y,
+      Math.sqrt(
+        this.bounds.width * this.bounds.width +
+          this.bounds.height * this.bounds.height
+      )
+    );
+
+    this.combo = 0;
+    this.comboTimer = 0;
+    this.scoreMultiplier = 1;
+    this.multiplierTimer = 0;
+
+    this.bombing = true;
+    this.enemies.forEach((enemy) => {
+      if (enemy.destroyed) return;
+
+      if (enemy.isBoss) {
+        this.damageEnemy(enemy, SMART_BOMB.bossDamage);
+      } else {
+        this.destroyEnemy(enemy);
+      }
+    });
+    this.bombing = false;
+
+    for (let i = this.enemyProjectiles.length - 1; i >= 0; i--) {
+      this.enemyProjectiles.release(i);
+    }
+
+    if (this.grid.addCameraShake) {
+      this.grid.addCameraShake(30, 1.2);
+    }
+  }
+
+  // Get the closest enemy still standing to a point, or null
+  findNearestEnemy(x, y) {
+    let nearest = null;
+    let nearestDistance = Infinity;
+
+    this.enemies.forEach((enemy) => {
+      if (enemy.destroyed) return;
+
+      const d = distance(x, y, enemy.position.x, enemy.position.y);
+      if (d < nearestDistance) {
+        nearest = enemy;
+        nearestDistance = d;
+      }
+    });
+    return nearest;
+  }
+
+  // Blow up a torpedo, damaging every enemy in the blast
+  // Damage halves from the centre of the blast to its edge
+  detonateTorpedo(torpedo) {
+    const { x, y } = torpedo.position;
+    const radius = TORPEDO.blastRadius;
+
+    this.collisions.queryEnemies(x, y, radius).forEach((enemy) => {
+      if (enemy.destroyed) return;
+
+      const d = distance(x, y, enemy.position.x, enemy.position.y);
+      const falloff = Math.min(d / (radius + enemy.size), 1);
+      this.damageEnemy(enemy, Math.round(TORPEDO.damage * (1 - falloff / 2)));
+    });
+
+    this.particles.createBlast(x, y, radius);
+  }
+
+  // Deal damage to an enemy, reduced by its armor
+  // Every hit produces a damage event, which drives the hit feedback
+  damageEnemy(enemy, damage) {
+    const amount = Math.min(
+      enemy.health,
+      Math.max(1, damage - (enemy.armor || 0))
+    );
+
+    enemy.health -= amount;
+    enemy.hitFlash = 6; // Frames to flash white
+
+    const event = {
+      enemy,
+      amount,
+      killed: enemy.health <= 0,
+      x: enemy.position.x,
+      y: enemy.position.y,
+    };
+    this.damageEvents.push(event);
+
+    this.showDamage(event);
+
+    if (event.killed) {
+      this.destroyEnemy(enemy);
+    } else {
+      // Generate score for each hit that doesn't destroy the enemy
+      this.score += 50;
+    }
+
+    return event;
+  }
+
+  // Create hit sparks and a damage number for a damage event
+  showDamage(event) {
+    const enemy = event.enemy;
+    const fx = this.particles.rng;
+
+    // Kills get the full explosion in destroyEnemy instead
+    if (event.killed) return;
+
+    // Create hit effect with reduced particles for performance
+    const particleCount = enemy.isBoss ? 5 : 15; // Further reduced for boss
+
+    // Only create particles if we have available slots
+    const availableParticles =
+      this.particles.maxParticles - this.particles.particles.length;
+    if (availableParticles > particleCount) {
+      if (enemy.isBoss) {
+        // Use the optimized boss hit effect
+        this.particles.createBossHitEffect(
+          event.x + fx.range(-enemy.size / 4, enemy.size / 4),
+          event.y + fx.range(-enemy.size / 4, enemy.size / 4)
+        );
+      } else {
+        // Normal hit effect for regular enemies
+        this.particles.createExplosion(
+          event.x + fx.range(-enemy.size / 3, enemy.size / 3),
+          event.y + fx.range(-enemy.size / 3, enemy.size / 3),
+          particleCount,
+          "#ffffff",
+          1.5, // Reduced speed
+          1.5, // Reduced size
+          0.08 // Faster decay
+        );
+      }
+    }
+
+    this.particles.createDamageText(
+      event.x,
+      event.y - enemy.size,
+      event.amount,
+      "#ffffff"
+    );
+  }
+
+  // Remove destroyed enemies and those far off screen
+  removeEnemies() {
+    for (let i = this.enemies.length - 1; i >= 0; i--) {
+      const enemy = this.enemies[i];
+
+      // Remove if off screen by a large margin
+      const offScreen =
+        enemy.position.x < -100 ||
+        enemy.position.x > this.bounds.width + 100 ||
+        enemy.position.y < -100 ||
+        enemy.position.y > this.bounds.height + 100;
+
+      if (enemy.destroyed || offScreen) {
+        this.enemies.splice(i, 1);
+
+        // If it was a boss, update boss active state
+        if (enemy.isBoss) {
+          this.bossActive = false;
+        }
       }
     }
   }
@@ -247,53 +523,96 @@ class EnemyManager {
 
     // Add some randomness to aim
     const accuracy = enemy.type === "spinner" ? 0.1 : 0.3; // Spinners are more accurate
-    const randomDirection = direction + (Math.random() - 0.5) * accuracy;
+    const randomDirection = direction + (this.rng.next() - 0.5) * accuracy;
 
-    const projectile = {
-      position: new Vector(enemy.position.x, enemy.position.y),
-      velocity: new Vector(
-        Math.cos(randomDirection) * speed,
-        Math.sin(randomDirection) * speed
-      ),
-      size: size || 3,
-      color: "#f00", // Red projectiles
-    };
+    const projectile = this.enemyProjectiles.acquire();
+    if (!projectile) return;
 
-    this.enemyProjectiles.push(projectile);
+    projectile.position.set(enemy.position.x, enemy.position.y);
+    projectile.velocity.set(
+      Math.cos(randomDirection) * speed,
+      Math.sin(randomDirection) * speed
+    );
+    projectile.size = size || 3;
+    projectile.color = "#f00"; // Red projectiles
+    projectile.damage = getShotDamage(projectile.size, speed);
+  }
+
+  // Count down the pickups and hand any the player touches over
+  updatePickups() {
+    const player = this.player;
+
+    for (let i = this.pickups.length - 1; i >= 0; i--) {
+      const pickup = this.pickups[i];
+      pickup.timer--;
+
+      const reach = player.size + pickup.size;
+      if (
+        player.alive &&
+        pickup.position.distanceTo(player.position) <= reach
+      ) {
+        const item = getPickupItem(pickup.weapon);
+        if (pickup.weapon === TORPEDO_PICKUP) {
+          player.addTorpedoes(TORPEDO.pickupAmmo);
+        } else if (pickup.weapon === BOMB_PICKUP) {
+          player.addBomb();
+        } else {
+          player.setWeapon(pickup.weapon);
+        }
+        this.particles.createFloatingText(
+          pickup.position.x,
+          pickup.position.y - 20,
+          item.name,
+          item.color
+        );
+        this.pickups.splice(i, 1);
+      } else if (pickup.timer <= 0) {
+        this.pickups.splice(i, 1);
+      }
+    }
+  }
+
+  // Maybe leave a pickup where an enemy was destroyed
+  dropPickup(enemy) {
+    let item;
+    if (enemy.isBoss || this.rng.chance(PICKUP_DROP_CHANCE)) {
+      item = this.rng.pick(PICKUP_WEAPONS);
+    } else if (this.rng.chance(TORPEDO_DROP_CHANCE)) {
+      item = TORPEDO_PICKUP;
+    } else if (this.rng.chance(BOMB_DROP_CHANCE)) {
+      item = BOMB_PICKUP;
+    } else {
+      return;
+    }
+
+    this.pickups.push(createPickup(enemy.position.x, enemy.position.y, item));
   }
 
   // Render all enemies
-  render() {
+  render(renderer) {
+    const ctx = renderer.ctx;
+
+    // Render pickups under everything else
+    this.pickups.forEach((pickup) => renderPickup(renderer, pickup));
+
     // Render enemy projectiles
     this.enemyProjectiles.forEach((projectile) => {
-      this.ctx.save();
-      this.ctx.translate(projectile.position.x, projectile.position.y);
-
-      // Draw glow
-      const glow = createGlow(
-        this.ctx,
-        0,
-        0,
-        projectile.size * 1.5,
+      renderer.drawGlow(
+        projectile.position.x,
+        projectile.position.y,
+        projectile.size,
         projectile.color,
         0.8
       );
-
-      this.ctx.fillStyle = glow || projectile.color;
-      this.ctx.beginPath();
-      this.ctx.arc(0, 0, projectile.size, 0, Math.PI * 2);
-      this.ctx.fill();
-
-      this.ctx.restore();
     });
 
     // Render enemies
     this.enemies.forEach((enemy) => {
-      this.ctx.save();
-      this.ctx.translate(enemy.position.x, enemy.position.y);
+      ctx.save();
+      ctx.translate(enemy.position.x, enemy.position.y);
 
       if (enemy.rotation !== undefined) {
-        this.ctx.rotate(enemy.rotation);
+        ctx.rotate(enemy.rotation);
       }
 
       // Draw based on enemy type
@@ -303,12 +622,12 @@ class EnemyManager {
 
         // Draw boss health bar only every other frame to improve performance
         if (enemy.health && enemy.maxHealth && this.frameCount % 2 === 0) {
-          this.ctx.save();
-          this.ctx.rotate(-enemy.rotation); // Keep health bar unrotated
+          ctx.save();
+          ctx.rotate(-enemy.rotation); // Keep health bar unrotated
 
           // Health bar background
-          this.ctx.fillStyle = "rgba(0, 0, 0, 0.5)";
-          this.ctx.fillRect(-s, -s - 15, s * 2, 8);
+          ctx.fillStyle = "rgba(0, 0, 0, 0.5)";
+          ctx.fillRect(-s, -s - 15, s * 2, 8);
 
           // Health bar fill
           const healthPercent = enemy.health / enemy.maxHealth;
@@ -318,151 +637,150 @@ class EnemyManager {
           else if (healthPercent > 0.3) healthColor = "#ff0"; // Yellow
           else healthColor = "#f00"; // Red
 
-          this.ctx.fillStyle = healthColor;
-          this.ctx.fillRect(-s, -s - 15, s * 2 * healthPercent, 8);
+          ctx.fillStyle = healthColor;
+          ctx.fillRect(-s, -s - 15, s * 2 * healthPercent, 8);
 
-          this.ctx.restore();
+          ctx.restore();
         }
 
         // Main hull color - using a mix of light gray with a slight bluish tint
-        this.ctx.fillStyle = "#b8c4d0";
+        ctx.fillStyle = "#b8c4d0";
 
         // Main circular body
-        this.ctx.beginPath();
-        this.ctx.arc(0, 0, s * 0.8, 0, Math.PI * 2);
-        this.ctx.fill();
+        ctx.beginPath();
+        ctx.arc(0, 0, s * 0.8, 0, Math.PI * 2);
+        ctx.fill();
 
         // Add some colored hull plates - simplified when boss is being hit to improve performance
-        const isCurrentlyBeingHit =
-          enemy.lastHitTime && performance.now() - enemy.lastHitTime < 200;
+        const isCurrentlyBeingHit = enemy.hitFlash > 0;
         if (!isCurrentlyBeingHit) {
-          this.ctx.fillStyle = "#8a9296"; // Darker gray for some panels
-          this.ctx.beginPath();
-          this.ctx.moveTo(-s * 0.4, -s * 0.6);
-          this.ctx.lineTo(s * 0.2, -s * 0.7);
-          this.ctx.lineTo(s * 0.1, -s * 0.3);
-          this.ctx.lineTo(-s * 0.3, -s * 0.2);
-          this.ctx.closePath();
-          this.ctx.fill();
-
-          this.ctx.fillStyle = "#9badb7"; // Another panel color
-          this.ctx.beginPath();
-          this.ctx.moveTo(-s * 0.7, s * 0.4);
-          this.ctx.lineTo(-s * 0.2, s * 0.7);
-          this.ctx.lineTo(s * 0.1, s * 0.5);
-          this.ctx.lineTo(-s * 0.4, s * 0.2);
-          this.ctx.closePath();
-          this.ctx.fill();
+          ctx.fillStyle = "#8a9296"; // Darker gray for some panels
+          ctx.beginPath();
+          ctx.moveTo(-s * 0.4, -s * 0.6);
+          ctx.lineTo(s * 0.2, -s * 0.7);
+          ctx.lineTo(s * 0.1, -s * 0.3);
+          ctx.lineTo(-s * 0.3, -s * 0.2);
+          ctx.closePath();
+          ctx.fill();
+
+          ctx.fillStyle = "#9badb7"; // Another panel color
+          ctx.beginPath();
+          ctx.moveTo(-s * 0.7, s * 0.4);
+          ctx.lineTo(-s * 0.2, s * 0.7);
+          ctx.lineTo(s * 0.1, s * 0.5);
+          ctx.lineTo(-s * 0.4, s * 0.2);
+          ctx.closePath();
+          ctx.fill();
         }
 
         // Mandibles/front prongs - slightly darker color
-        this.ctx.fillStyle = "#939da8";
-        this.ctx.beginPath();
-        this.ctx.moveTo(s * 0.5, -s * 0.4);
-        this.ctx.lineTo(s * 1.3, -s * 0.4);
-        this.ctx.lineTo(s * 1.3, -s * 0.1);
-        this.ctx.lineTo(s * 0.5, -s * 0.1);
-        this.ctx.closePath();
-        this.ctx.fill();
-
-        this.ctx.beginPath();
-        this.ctx.moveTo(s * 0.5, s * 0.1);
-        this.ctx.lineTo(s * 1.3, s * 0.1);
-        this.ctx.lineTo(s * 1.3, s * 0.4);
-        this.ctx.lineTo(s * 0.5, s * 0.4);
-        this.ctx.closePath();
-        this.ctx.fill();
+        ctx.fillStyle = "#939da8";
+        ctx.beginPath();
+        ctx.moveTo(s * 0.5, -s * 0.4);
+        ctx.lineTo(s * 1.3, -s * 0.4);
+        ctx.lineTo(s * 1.3, -s * 0.1);
+        ctx.lineTo(s * 0.5, -s * 0.1);
+        ctx.closePath();
+        ctx.fill();
+
+        ctx.beginPath();
+        ctx.moveTo(s * 0.5, s * 0.1);
+        ctx.lineTo(s * 1.3, s * 0.1);
+        ctx.lineTo(s * 1.3, s * 0.4);
+        ctx.lineTo(s * 0.5, s * 0.4);
+        ctx.closePath();
+        ctx.fill();
 
         // Add red stripes on the mandibles - skip when being hit to improve performance
         if (!isCurrentlyBeingHit) {
-          this.ctx.fillStyle = "#c1272d"; // Red stripe
-          this.ctx.fillRect(s * 0.7, -s * 0.4, s * 0.15, s * 0.3);
-          this.ctx.fillRect(s * 1.0, -s * 0.4, s * 0.15, s * 0.3);
-          this.ctx.fillRect(s * 0.7, s * 0.1, s * 0.15, s * 0.3);
-          this.ctx.fillRect(s * 1.0, s * 0.1, s * 0.15, s * 0.3);
+          ctx.fillStyle = "#c1272d"; // Red stripe
+          ctx.fillRect(s * 0.7, -s * 0.4, s * 0.15, s * 0.3);
+          ctx.fillRect(s * 1.0, -s * 0.4, s * 0.15, s * 0.3);
+          ctx.fillRect(s * 0.7, s * 0.1, s * 0.15, s * 0.3);
+          ctx.fillRect(s * 1.0, s * 0.1, s * 0.15, s * 0.3);
         }
 
         // Cockpit with bright blue color
-        this.ctx.fillStyle = "#4fc3f7"; // Brighter blue cockpit
-        this.ctx.beginPath();
-        this.ctx.arc(s * 0.4, -s * 0.55, s * 0.2, 0, Math.PI * 2);
-        this.ctx.fill();
+        ctx.fillStyle = "#4fc3f7"; // Brighter blue cockpit
+        ctx.beginPath();
+        ctx.arc(s * 0.4, -s * 0.55, s * 0.2, 0, Math.PI * 2);
+        ctx.fill();
 
         // Darker outline around cockpit - skip when being hit to improve performance
         if (!isCurrentlyBeingHit) {
-          this.ctx.strokeStyle = "#2196f3";
-          this.ctx.lineWidth = s * 0.04;
-          this.ctx.beginPath();
-          this.ctx.arc(s * 0.4, -s * 0.55, s * 0.2, 0, Math.PI * 2);
-          this.ctx.stroke();
+          ctx.strokeStyle = "#2196f3";
+          ctx.lineWidth = s * 0.04;
+          ctx.beginPath();
+          ctx.arc(s * 0.4, -s * 0.55, s * 0.2, 0, Math.PI * 2);
+          ctx.stroke();
         }
 
         // Rectangular details on main body with varied colors
         // Central rectangle - slightly yellow-tinged
-        this.ctx.fillStyle = "#c0c0a8";
-        this.ctx.fillRect(-s * 0.3, -s * 0.3, s * 0.6, s * 0.6);
+        ctx.fillStyle = "#c0c0a8";
+        ctx.fillRect(-s * 0.3, -s * 0.3, s * 0.6, s * 0.6);
 
         // Side details - varied colors - skip when being hit to improve performance
         if (!isCurrentlyBeingHit) {
-          this.ctx.fillStyle = "#7d8c96"; // Bluish-gray
-          this.ctx.fillRect(-s * 0.7, -s * 0.2, s * 0.3, s * 0.4);
+          ctx.fillStyle = "#7d8c96"; // Bluish-gray
+          ctx.fillRect(-s * 0.7, -s * 0.2, s * 0.3, s * 0.4);
 
-          this.ctx.fillStyle = "#94826a"; // Tan/brown panel
-          this.ctx.fillRect(-s * 0.6, -s * 0.6, s * 0.3, s * 0.3);
+          ctx.fillStyle = "#94826a"; // Tan/brown panel
+          ctx.fillRect(-s * 0.6, -s * 0.6, s * 0.3, s * 0.3);
 
-          this.ctx.fillStyle = "#8a8a8a"; // Dark gray
-          this.ctx.fillRect(s * 0.1, s * 0.3, s * 0.3, s * 0.3);
+          ctx.fillStyle = "#8a8a8a"; // Dark gray
+          ctx.fillRect(s * 0.1, s * 0.3, s * 0.3, s * 0.3);
         }
 
         // Engine glow - brighter orange
-        this.ctx.fillStyle = "#ff8c41";
-        this.ctx.beginPath();
-        this.ctx.arc(-s * 0.9, 0, s * 0.25, 0, Math.PI * 2);
-        this.ctx.fill();
+        ctx.fillStyle = "#ff8c41";
+        ctx.beginPath();
+        ctx.arc(-s * 0.9, 0, s * 0.25, 0, Math.PI * 2);
+        ctx.fill();
 
         // Add inner glow to engine
-        this.ctx.fillStyle = "#ffcc80";
-        this.ctx.beginPath();
-        this.ctx.arc(-s * 0.9, 0, s * 0.15, 0, Math.PI * 2);
-        this.ctx.fill();
+        ctx.fillStyle = "#ffcc80";
+        ctx.beginPath();
+        ctx.arc(-s * 0.9, 0, s * 0.15, 0, Math.PI * 2);
+        ctx.fill();
 
         // Satellite dish - more silver/metallic - skip when being hit to improve performance
         if (!isCurrentlyBeingHit) {
-          this.ctx.fillStyle = "#d1d6db";
-          this.ctx.beginPath();
-          this.ctx.arc(0, -s * 0.3, s * 0.15, 0, Math.PI * 2);
-          this.ctx.fill();
+          ctx.fillStyle = "#d1d6db";
+          ctx.beginPath();
+          ctx.arc(0, -s * 0.3, s * 0.15, 0, Math.PI * 2);
+          ctx.fill();
 
           // Dish inner details
-          this.ctx.fillStyle = "#8a9296";
-          this.ctx.beginPath();
-          this.ctx.arc(0, -s * 0.3, s * 0.08, 0, Math.PI * 2);
-          this.ctx.fill();
+          ctx.fillStyle = "#8a9296";
+          ctx.beginPath();
+          ctx.arc(0, -s * 0.3, s * 0.08, 0, Math.PI * 2);
+          ctx.fill();
         }
 
         // Panel lines for detail - completely skip when being hit to improve performance
         if (!isCurrentlyBeingHit) {
-          this.ctx.strokeStyle = "#394249"; // Darker lines
-          this.ctx.lineWidth = s * 0.03;
+          ctx.strokeStyle = "#394249"; // Darker lines
+          ctx.lineWidth = s * 0.03;
 
           // Circular panel lines
-          this.ctx.beginPath();
-          this.ctx.arc(0, 0, s * 0.6, 0, Math.PI * 2);
-          this.ctx.stroke();
+          ctx.beginPath();
+          ctx.arc(0, 0, s * 0.6, 0, Math.PI * 2);
+          ctx.stroke();
 
           // Center-to-edge lines
-          this.ctx.beginPath();
-          this.ctx.moveTo(0, 0);
-          this.ctx.lineTo(s * 0.8, 0);
-          this.ctx.moveTo(0, 0);
-          this.ctx.lineTo(-s * 0.8, s * 0.2);
-          this.ctx.moveTo(0, 0);
-          this.ctx.lineTo(-s * 0.8, -s * 0.2);
-          this.ctx.moveTo(0, 0);
-          this.ctx.lineTo(0, s * 0.8);
-          this.ctx.moveTo(0, 0);
-          this.ctx.lineTo(0, -s * 0.8);
-          this.ctx.stroke();
+          ctx.beginPath();
+          ctx.moveTo(0, 0);
+          ctx.lineTo(s * 0.8, 0);
+          ctx.moveTo(0, 0);
+          ctx.lineTo(-s * 0.8, s * 0.2);
+          ctx.moveTo(0, 0);
+          ctx.lineTo(-s * 0.8, -s * 0.2);
+          ctx.moveTo(0, 0);
+          ctx.lineTo(0, s * 0.8);
+          ctx.moveTo(0, 0);
+          ctx.lineTo(0, -s * 0.8);
+          ctx.stroke();
         }
 
         // Damage indicators
@@ -472,16 +790,16 @@ class EnemyManager {
           if (!isCurrentlyBeingHit) {
             if (healthPercent < 0.7) {
               // First damage stage - red damage indicator
-              this.ctx.fillStyle = "#f00";
-              this.ctx.beginPath();
-              this.ctx.arc(s * 0.2, s * 0.4, s * 0.08, 0, Math.PI * 2);
-              this.ctx.fill();
+              ctx.fillStyle = "#f00";
+              ctx.beginPath();
+              ctx.arc(s * 0.2, s * 0.4, s * 0.08, 0, Math.PI * 2);
+              ctx.fill();
             }
 
             if (healthPercent < 0.4) {
               // Second damage stage - smoke/fire particles
               // Reduce particle frequency to improve performance
-              if (Math.random() < 0.05) {
+              if (this.fxRng.next() < 0.05) {
                 // Further reduced from 0.1 to 0.05
                 // Only add smoke if we're not at particle capacity
                 if (
@@ -494,18 +812,18 @@ class EnemyManager {
                     enemy.position.y +
                       s * 0.3 * Math.sin(enemy.rotation + Math.PI * 0.5),
                     "#888", // Smoke
-                    1.5 + Math.random() * 1.5 // Smaller smoke
+                    1.5 + this.fxRng.next() * 1.5 // Smaller smoke
                   );
                 }
               }
 
               // Flickering damage light - reduce frequency to improve performance
-              if (Math.random() < 0.1) {
+              if (this.fxRng.next() < 0.1) {
                 // Further reduced from 0.2 to 0.1
-                this.ctx.fillStyle = "#ff0";
-                this.ctx.beginPath();
-                this.ctx.arc(-s * 0.5, s * 0.2, s * 0.05, 0, Math.PI * 2);
-                this.ctx.fill();
+                ctx.fillStyle = "#ff0";
+                ctx.beginPath();
+                ctx.arc(-s * 0.5, s * 0.2, s * 0.05, 0, Math.PI * 2);
+                ctx.fill();
               }
             }
           }
@@ -515,171 +833,173 @@ class EnemyManager {
         const s = enemy.size * 0.9;
 
         // Main body with color
-        this.ctx.fillStyle = enemy.color;
-        this.ctx.beginPath();
-        this.ctx.moveTo(s * 2, 0); // Nose
-        this.ctx.lineTo(s * 0.7, s * 0.7); // Right side
-        this.ctx.lineTo(-s * 0.5, s * 0.7); // Back right
-        this.ctx.lineTo(-s * 1, 0); // Back center
-        this.ctx.lineTo(-s * 0.5, -s * 0.7); // Back left
-        this.ctx.lineTo(s * 0.7, -s * 0.7); // Left side
-        this.ctx.closePath();
-        this.ctx.fill();
+        ctx.fillStyle = enemy.color;
+        ctx.beginPath();
+        ctx.moveTo(s * 2, 0); // Nose
+        ctx.lineTo(s * 0.7, s * 0.7); // Right side
+        ctx.lineTo(-s * 0.5, s * 0.7); // Back right
+        ctx.lineTo(-s * 1, 0); // Back center
+        ctx.lineTo(-s * 0.5, -s * 0.7); // Back left
+        ctx.lineTo(s * 0.7, -s * 0.7); // Left side
+        ctx.closePath();
+        ctx.fill();
 
         // Central line detail
-        this.ctx.fillStyle = "#fff";
-        this.ctx.globalAlpha = 0.5;
-        this.ctx.fillRect(-s * 0.3, -s * 0.1, s * 2, s * 0.2);
+        ctx.fillStyle = "#fff";
+        ctx.globalAlpha = 0.5;
+        ctx.fillRect(-s * 0.3, -s * 0.1, s * 2, s * 0.2);
 
         // Engine glow (simplified)
-        this.ctx.globalAlpha = 0.8;
-        this.ctx.fillStyle = "#ff6a00";
-        this.ctx.beginPath();
-        this.ctx.arc(-s * 0.8, 0, s * 0.3, 0, Math.PI * 2);
-        this.ctx.fill();
+        ctx.globalAlpha = 0.8;
+        ctx.fillStyle = "#ff6a00";
+        ctx.beginPath();
+        ctx.arc(-s * 0.8, 0, s * 0.3, 0, Math.PI * 2);
+        ctx.fill();
       } else if (enemy.type === "wanderer") {
         // Wanderer ship (simplified TIE fighter variant)
         const s = enemy.size * 0.9;
 
         // Wing panels (simpler, with color)
-        this.ctx.fillStyle = enemy.color;
+        ctx.fillStyle = enemy.color;
 
         // Left wing
-        this.ctx.beginPath();
-        this.ctx.moveTo(-s * 0.3, -s * 0.3);
-        this.ctx.lineTo(-s * 2, -s * 1.5);
-        this.ctx.lineTo(-s * 2, s * 1.5);
-        this.ctx.lineTo(-s * 0.3, s * 0.3);
-        this.ctx.closePath();
-        this.ctx.fill();
+        ctx.beginPath();
+        ctx.moveTo(-s * 0.3, -s * 0.3);
+        ctx.lineTo(-s * 2, -s * 1.5);
+        ctx.lineTo(-s * 2, s * 1.5);
+        ctx.lineTo(-s * 0.3, s * 0.3);
+        ctx.closePath();
+        ctx.fill();
 
         // Right wing
-        this.ctx.beginPath();
-        this.ctx.moveTo(s * 0.3, -s * 0.3);
-        this.ctx.lineTo(s * 2, -s * 1.5);
-        this.ctx.lineTo(s * 2, s * 1.5);
-        this.ctx.lineTo(s * 0.3, s * 0.3);
-        this.ctx.closePath();
-        this.ctx.fill();
+        ctx.beginPath();
+        ctx.moveTo(s * 0.3, -s * 0.3);
+        ctx.lineTo(s * 2, -s * 1.5);
+        ctx.lineTo(s * 2, s * 1.5);
+        ctx.lineTo(s * 0.3, s * 0.3);
+        ctx.closePath();
+        ctx.fill();
 
         // Center pod
-        this.ctx.fillStyle = "#333";
-        this.ctx.beginPath();
-        this.ctx.arc(0, 0, s * 0.6, 0, Math.PI * 2);
-        this.ctx.fill();
+        ctx.fillStyle = "#333";
+        ctx.beginPath();
+        ctx.arc(0, 0, s * 0.6, 0, Math.PI * 2);
+        ctx.fill();
 
         // Single line structure (simplified)
-        this.ctx.strokeStyle = "#fff";
-        this.ctx.globalAlpha = 0.5;
-        this.ctx.lineWidth = s * 0.1;
-        this.ctx.beginPath();
-        this.ctx.moveTo(-s * 2, 0);
-        this.ctx.lineTo(s * 2, 0);
-        this.ctx.stroke();
+        ctx.strokeStyle = "#fff";
+        ctx.globalAlpha = 0.5;
+        ctx.lineWidth = s * 0.1;
+        ctx.beginPath();
+        ctx.moveTo(-s * 2, 0);
+        ctx.lineTo(s * 2, 0);
+        ctx.stroke();
       } else if (enemy.type === "spinner") {
         // Spinner ship (simplified Y-Wing/ARC-170 fighter)
         const s = enemy.size * 0.9;
 
         // Main body
-        this.ctx.fillStyle = "#ddd";
-        this.ctx.beginPath();
-        this.ctx.moveTo(s * 1.5, 0); // Nose
-        this.ctx.lineTo(s * 0.8, s * 0.4);
-        this.ctx.lineTo(-s * 1.2, s * 0.4);
-        this.ctx.lineTo(-s * 1.5, 0);
-        this.ctx.lineTo(-s * 1.2, -s * 0.4);
-        this.ctx.lineTo(s * 0.8, -s * 0.4);
-        this.ctx.closePath();
-        this.ctx.fill();
+        ctx.fillStyle = "#ddd";
+        ctx.beginPath();
+        ctx.moveTo(s * 1.5, 0); // Nose
+        ctx.lineTo(s * 0.8, s * 0.4);
+        ctx.lineTo(-s * 1.2, s * 0.4);
+        ctx.lineTo(-s * 1.5, 0);
+        ctx.lineTo(-s * 1.2, -s * 0.4);
+        ctx.lineTo(s * 0.8, -s * 0.4);
+        ctx.closePath();
+        ctx.fill();
 
         // Twin engines with color
-        this.ctx.fillStyle = enemy.color;
+        ctx.fillStyle = enemy.color;
         // Combined engines as one shape
-        this.ctx.beginPath();
-        this.ctx.rect(-s * 1.2, -s * 1.2, s * 0.8, s * 0.6);
-        this.ctx.rect(-s * 1.2, s * 0.6, s * 0.8, s * 0.6);
-        this.ctx.fill();
+        ctx.beginPath();
+        ctx.rect(-s * 1.2, -s * 1.2, s * 0.8, s * 0.6);
+        ctx.rect(-s * 1.2, s * 0.6, s * 0.8, s * 0.6);
+        ctx.fill();
 
         // Simple engine glow
-        this.ctx.globalAlpha = 0.6;
-        this.ctx.fillStyle = "#ff6a00";
-        this.ctx.beginPath();
-        this.ctx.arc(-s * 1.2, -s * 0.9, s * 0.3, 0, Math.PI * 2);
-        this.ctx.arc(-s * 1.2, s * 0.9, s * 0.3, 0, Math.PI * 2);
-        this.ctx.fill();
+        ctx.globalAlpha = 0.6;
+        ctx.fillStyle = "#ff6a00";
+        ctx.beginPath();
+        ctx.arc(-s * 1.2, -s * 0.9, s * 0.3, 0, Math.PI * 2);
+        ctx.arc(-s * 1.2, s * 0.9, s * 0.3, 0, Math.PI * 2);
+        ctx.fill();
 
         // Cockpit
-        this.ctx.globalAlpha = 0.7;
-        this.ctx.fillStyle = "#6ac5fe";
-        this.ctx.beginPath();
-        this.ctx.ellipse(s * 0, 0, s * 0.4, s * 0.3, 0, 0, Math.PI * 2);
-        this.ctx.fill();
+        ctx.globalAlpha = 0.7;
+        ctx.fillStyle = "#6ac5fe";
+        ctx.beginPath();
+        ctx.ellipse(s * 0, 0, s * 0.4, s * 0.3, 0, 0, Math.PI * 2);
+        ctx.fill();
       } else {
         // Default fallback: simple ship shape
-        this.ctx.fillStyle = enemy.color;
-        this.ctx.beginPath();
-        this.ctx.moveTo(enemy.size * 1.5, 0);
-        this.ctx.lineTo(-enemy.size, enemy.size);
-        this.ctx.lineTo(-enemy.size, -enemy.size);
-        this.ctx.closePath();
-        this.ctx.fill();
+        ctx.fillStyle = enemy.color;
+        ctx.beginPath();
+        ctx.moveTo(enemy.size * 1.5, 0);
+        ctx.lineTo(-enemy.size, enemy.size);
+        ctx.lineTo(-enemy.size, -enemy.size);
+        ctx.closePath();
+        ctx.fill();
+      }
+
+      // Flash white when damaged
+      if (enemy.hitFlash > 0) {
+        ctx.globalAlpha = (enemy.hitFlash / 6) * 0.6;
+        ctx.fillStyle = "#fff";
+        ctx.beginPath();
+        ctx.arc(0, 0, enemy.size, 0, Math.PI * 2);
+        ctx.fill();
       }
 
       // Add glow effect for all ships after drawing ship details
       // This is more efficient than multiple separate glow operations
-      this.ctx.globalAlpha = 0.3;
-      const glow = createGlow(
-        this.ctx,
-        0,
-        0,
-        enemy.size * 1.5,
-        enemy.color,
-        0.3
-      );
+      ctx.globalAlpha = 0.3;
+      const glow = createGlow(ctx, 0, 0, enemy.size * 1.5, enemy.color, 0.3);
       if (glow) {
-        this.ctx.fillStyle = glow;
-        this.ctx.beginPath();
-        this.ctx.arc(0, 0, enemy.size * 1.8, 0, Math.PI * 2);
-        this.ctx.fill();
+        ctx.fillStyle = glow;
+        ctx.beginPath();
+        ctx.arc(0, 0, enemy.size * 1.8, 0, Math.PI * 2);
+        ctx.fill();
       }
 
-      this.ctx.restore();
+      ctx.restore();
     });
   }
 
   // Spawn a new enemy
   spawn() {
     const types = ["seeker", "wanderer", "spinner"];
-    const type = types[randomInt(0, types.length - 1)];
+    const type = types[this.rng.int(0, types.length - 1)];
 
     let position;
     // Spawn outside the canvas
-    const side = randomInt(0, 3); // 0: top, 1: right, 2: bottom, 3: left
+    const side = this.rng.int(0, 3); // 0: top, 1: right, 2: bottom, 3: left
 
     switch (side) {
       case 0: // Top
-        position = new Vector(random(0, this.canvas.width), -50);
+        position = new Vector(this.rng.range(0, this.bounds.width), -50);
         break;
       case 1: // Right
         position = new Vector(
-          this.canvas.width + 50,
-          random(0, this.canvas.height)
+          this.bounds.width + 50,
+          this.rng.range(0, this.bounds.height)
         );
         break;
       case 2: // Bottom
         position = new Vector(
-          random(0, this.canvas.width),
-          this.canvas.height + 50
+          this.rng.range(0, this.bounds.width),
+          this.bounds.height + 50
         );
         break;
       case 3: // Left
-        position = new Vector(-50, random(0, this.canvas.height));
+        position = new Vector(-50, this.rng.range(0, this.bounds.height));
         break;
     }
 
     // Create different enemy types
     let enemy;
-    const color = randomColor();
+    const color = randomColor(this.rng);
 
     switch (type) {
       case "seeker":
@@ -695,22 +1015,42 @@ class EnemyManager {
         enemy = this.createSeeker(position, color);
     }
 
+    this.addEnemy(enemy);
+  }
+
+  // Give a new enemy its id and put it on the field
+  addEnemy(enemy) {
+    enemy.id = this.nextEnemyId++;
     this.enemies.push(enemy);
+    return enemy;
+  }
+
+  // Create the shared fields of an enemy from its type definition
+  createStats(type) {
+    const stats = ENEMY_TYPES[type];
+
+    return {
+      type,
+      size: stats.size,
+      health: stats.health,
+      maxHealth: stats.health,
+      armor: stats.armor,
+      value: stats.value,
+      hitFlash: 0,
+    };
   }
 
   // Create a seeker enemy (aggressively follows player)
   createSeeker(position, color) {
     const enemy = {
-      type: "seeker",
+      ...this.createStats("seeker"),
       position,
       velocity: new Vector(0, 0),
-      size: 10,
       color,
-      speed: random(1, 2),
+      speed: this.rng.range(1, 2),
       rotation: 0,
-      value: 100,
       shootTimer: 0,
-      shootDelay: randomInt(100, 160), // Frames between shots
+      shootDelay: this.rng.int(100, 160), // Frames between shots
       update: () => {
         // Calculate direction to player
         const direction = Math.atan2(
@@ -757,7 +1097,7 @@ class EnemyManager {
         ) {
           this.fireProjectile(enemy, 5, 4);
           enemy.shootTimer = 0;
-          enemy.shootDelay = randomInt(100, 160); // Randomize next shot time
+          enemy.shootDelay = this.rng.int(100, 160); // Randomize next shot time
         }
       },
     };
@@ -768,25 +1108,23 @@ class EnemyManager {
   // Create a wanderer enemy (moves randomly)
   createWanderer(position, color) {
     const enemy = {
-      type: "wanderer",
+      ...this.createStats("wanderer"),
       position,
-      velocity: new Vector(random(-1, 1), random(-1, 1)),
-      size: 15,
+      velocity: new Vector(this.rng.range(-1, 1), this.rng.range(-1, 1)),
       color,
-      speed: random(0.5, 1.5),
+      speed: this.rng.range(0.5, 1.5),
       directionTimer: 0,
-      directionChangeInterval: randomInt(60, 120),
+      directionChangeInterval: this.rng.int(60, 120),
       shootTimer: 0,
-      shootDelay: randomInt(180, 300), // Less frequent shooting
-      value: 50,
+      shootDelay: this.rng.int(180, 300), // Less frequent shooting
       update: () => {
         // Occasionally change direction
         enemy.directionTimer++;
         if (enemy.directionTimer >= enemy.directionChangeInterval) {
-          enemy.velocity.x = random(-1, 1);
-          enemy.velocity.y = random(-1, 1);
+          enemy.velocity.x = this.rng.range(-1, 1);
+          enemy.velocity.y = this.rng.range(-1, 1);
           enemy.directionTimer = 0;
-          enemy.directionChangeInterval = randomInt(60, 120);
+          enemy.directionChangeInterval = this.rng.int(60, 120);
         }
 
         // Normalize and scale velocity
@@ -804,11 +1142,11 @@ class EnemyManager {
         enemy.position.add(enemy.velocity);
 
         // Bounce off edges
-        if (enemy.position.x < 0 || enemy.position.x > this.canvas.width) {
+        if (enemy.position.x < 0 || enemy.position.x > this.bounds.width) {
           enemy.velocity.x *= -1;
         }
 
-        if (enemy.position.y < 0 || enemy.position.y > this.canvas.height) {
+        if (enemy.position.y < 0 || enemy.position.y > this.bounds.height) {
           enemy.velocity.y *= -1;
         }
 
@@ -823,12 +1161,12 @@ class EnemyManager {
         // Shoot randomly (wanderers are unpredictable)
         if (
           enemy.shootTimer >= enemy.shootDelay &&
-          Math.random() < 0.7 && // 70% chance to fire when ready
+          this.rng.next() < 0.7 && // 70% chance to fire when ready
           this.player.alive
         ) {
           this.fireProjectile(enemy, 3, 5); // Slower but larger projectiles
           enemy.shootTimer = 0;
-          enemy.shootDelay = randomInt(180, 300);
+          enemy.shootDelay = this.rng.int(180, 300);
         }
       },
     };
@@ -839,27 +1177,26 @@ class EnemyManager {
   // Create a spinner enemy (orbits and shoots)
   createSpinner(position, color) {
     const enemy = {
-      type: "spinner",
+      ...this.createStats("spinner"),
       position,
       velocity: new Vector(0, 0),
-      size: 12,
       color,
-      speed: random(2, 3),
+      speed: this.rng.range(2, 3),
       rotation: 0,
-      rotationSpeed: random(0.02, 0.05) * (Math.random() > 0.5 ? 1 : -1),
-      orbitRadius: random(100, 200),
-      orbitAngle: random(0, Math.PI * 2),
-      orbitSpeed: random(0.01, 0.02),
+      rotationSpeed:
+        this.rng.range(0.02, 0.05) * (this.rng.next() > 0.5 ? 1 : -1),
+      orbitRadius: this.rng.range(100, 200),
+      orbitAngle: this.rng.range(0, Math.PI * 2),
+      orbitSpeed: this.rng.range(0.01, 0.02),
       targetPosition: new Vector(
-        random(100, this.canvas.width - 100),
-        random(100, this.canvas.height - 100)
+        this.rng.range(100, this.bounds.width - 100),
+        this.rng.range(100, this.bounds.height - 100)
       ),
       shootTimer: 0,
-      shootDelay: randomInt(60, 120), // Faster firing rate
+      shootDelay: this.rng.int(60, 120), // Faster firing rate
       burstCount: 0, // For burst fire pattern
       burstSize: 3, // Number of shots in a burst
       burstDelay: 10, // Frames between burst shots
-      value: 150,
       update: () => {
         // Update orbit angle
         enemy.orbitAngle += enemy.orbitSpeed;
@@ -886,10 +1223,10 @@ class EnemyManager {
         enemy.rotation += enemy.rotationSpeed;
 
         // Occasionally move orbit center
-        if (Math.random() < 0.005) {
+        if (this.rng.next() < 0.005) {
           enemy.targetPosition = new Vector(
-            random(100, this.canvas.width - 100),
-            random(100, this.canvas.height - 100)
+            this.rng.range(100, this.bounds.width - 100),
+            this.rng.range(100, this.bounds.height - 100)
           );
         }
 
@@ -917,7 +1254,7 @@ class EnemyManager {
           this.fireProjectile(enemy, 7, 3);
           enemy.burstCount = enemy.burstSize - 1; // Already fired first shot
           enemy.shootTimer = 0;
-          enemy.shootDelay = randomInt(60, 120); // Refresh delay for next burst
+          enemy.shootDelay = this.rng.int(60, 120); // Refresh delay for next burst
         }
       },
     };
@@ -926,7 +1263,10 @@ class EnemyManager {
   }
 
   // Destroy an enemy and add score
-  destroyEnemy(enemy, index) {
+  // The enemy is removed from the list at the end of the tick
+  destroyEnemy(enemy) {
+    enemy.destroyed = true;
+
     // Create explosion effect - use smaller explosion for boss to prevent lag
     if (enemy.isBoss) {
       // For boss, create a more optimized explosion with fewer particles
@@ -982,11 +1322,10 @@ class EnemyManager {
     // Grid distortion removed to prevent background movement
     // this.grid.addDistortion(enemy.position.x, enemy.position.y, 0.5, 0.01);
 
+    this.dropPickup(enemy);
+
     // Add score based on enemy type
     this.updateScore(enemy);
-
-    // Remove enemy
-    this.enemies.splice(index, 1);
   }
 
   // Update score when enemy is destroyed
@@ -1000,6 +1339,24 @@ class EnemyManager {
     // Update total score
     this.score += points;
 
+    // Award extra lives at score thresholds
+    while (this.score >= this.nextExtraLife) {
+      this.player.addLife();
+      this.nextExtraLife += this.extraLifeScore;
+    }
+
+    // And bombs at their own thresholds
+    while (this.score >= this.nextBomb) {
+      this.player.addBomb();
+      this.nextBomb += SMART_BOMB.scoreInterval;
+      this.particles.createFloatingText(
+        this.player.position.x,
+        this.player.position.y - 45,
+        "BOMB",
+        SMART_BOMB.color
+      );
+    }
+
     // Create score text effect
     this.particles.createScoreText(
       enemy.position.x,
@@ -1008,6 +1365,9 @@ class EnemyManager {
       enemy.color
     );
 
+    // Bomb kills don't count towards the combo
+    if (this.bombing) return;
+
     // Update combo
     this.combo++;
     this.comboTimer = 120; // 2 seconds at 60fps
@@ -1036,19 +1396,106 @@ class EnemyManager {
   // Reset enemies for a new game
   reset() {
     this.enemies = [];
-    this.enemyProjectiles = [];
+    this.nextEnemyId = 0;
+    this.pickups = [];
+    this.enemyProjectiles.clear();
     this.spawnTimer = 0;
     this.spawnRate = 120;
     this.difficultyTimer = 0;
+    this.maxEnemies = 20;
     this.score = 0;
     this.scoreMultiplier = 1;
     this.combo = 0;
     this.comboTimer = 0;
     this.multiplierTimer = 0;
+    this.nextExtraLife = this.extraLifeScore;
+    this.nextBomb = SMART_BOMB.scoreInterval;
+    this.frameCount = 0;
     this.bossActive = false;
     this.bossTimer = this.bossSpawnThreshold;
   }
 
+  // Remove enemy shots within a radius, to give a respawned player room
+  clearProjectilesNear(x, y, radius) {
+    const radiusSquared = radius * radius;
+
+    for (let i = this.enemyProjectiles.length - 1; i >= 0; i--) {
+      const projectile = this.enemyProjectiles.items[i];
+      const dx = projectile.position.x - x;
+      const dy = projectile.position.y - y;
+
+      if (dx * dx + dy * dy <= radiusSquared) {
+        this.particles.createExplosion(
+          projectile.position.x,
+          projectile.position.y,
+          4,
+          projectile.color,
+          2,
+          2,
+          0.05
+        );
+        this.enemyProjectiles.release(i);
+      }
+    }
+  }
+
+  // Capture the fields that change during a run (see Simulation.saveState)
+  saveState() {
+    const {
+      bounds,
+      particles,
+      player,
+      grid,
+      rng,
+      collisions,
+      damageEvents,
+      enemies,
+      enemyProjectiles,
+      ...state
+    } = this;
+
+    return {
+      ...cloneData(state),
+      enemies: enemies.map(cloneData),
+      enemyProjectiles: enemyProjectiles.saveState(),
+    };
+  }
+
+  // Go back to a state from saveState
+  // Draws from the gameplay generator, so restore its state afterwards
+  loadState(state) {
+    const { enemies, enemyProjectiles, ...fields } = state;
+
+    Object.assign(this, cloneData(fields));
+    this.enemies = enemies.map((saved) => this.restoreEnemy(saved));
+    this.enemyProjectiles.loadState(enemyProjectiles);
+    this.damageEvents.length = 0;
+  }
+
+  // Rebuild a saved enemy
+  // Its update function has to close over the new object, so the enemy is
+  // created from scratch and the saved fields copied onto it
+  restoreEnemy(saved) {
+    const position = new Vector();
+    let enemy;
+
+    switch (saved.type) {
+      case "wanderer":
+        enemy = this.createWanderer(position, saved.color);
+        break;
+      case "spinner":
+        enemy = this.createSpinner(position, saved.color);
+        break;
+      case "boss":
+        enemy = this.createBoss(position);
+        break;
+      default:
+        enemy = this.createSeeker(position, saved.color);
+    }
+
+    return Object.assign(enemy, cloneData(saved));
+  }
+
   // Get current score
   getScore() {
     return this.score;
@@ -1062,19 +1509,15 @@ class EnemyManager {
     };
   }
 
-  // Spawn a boss enemy
-  spawnBoss() {
+  // Spawn a boss enemy, from the top of the screen unless given a position
+  // Returns the boss, or null when one is already active
+  spawnBoss(position = new Vector(this.bounds.width / 2, -100)) {
     // Only spawn if no boss is active
-    if (this.bossActive) return;
+    if (this.bossActive) return null;
 
     this.bossActive = true;
-
-    // Spawn from the top of the screen
-    const position = new Vector(this.canvas.width / 2, -100);
-
-    // Create the boss
-    const boss = this.createBoss(position);
-    this.enemies.push(boss);
+    this.bossTimer = this.bossSpawnThreshold;
+    return this.addEnemy(this.createBoss(position));
   }
 
   // Create a boss enemy (large ship with multiple hit points)
@@ -1083,31 +1526,25 @@ class EnemyManager {
     const color = "#a0b4c8"; // Light bluish-gray to match current design
 
     const boss = {
-      type: "boss",
+      ...this.createStats("boss"),
       isBoss: true,
       position,
       velocity: new Vector(0, 0),
-      size: 45, // Much larger than normal enemies
       color,
-      health: 20, // Takes 20 hits to destroy
-      maxHealth: 20,
       speed: 1.5,
       rotation: 0,
-      value: 1000, // High score value
       attackPhase: 0,
       phaseTimer: 0,
       shotTimer: 0,
       shotDelay: 20, // Increased from 10 to 20 (50% slower fire rate)
       burstCount: 0,
       burstSize: 5,
-      lastHitTime: 0, // Track last hit time for performance optimization
-      lastScoreTime: 0, // Track last score display time
-      targetPosition: new Vector(this.canvas.width / 2, this.canvas.height / 4),
+      targetPosition: new Vector(this.bounds.width / 2, this.bounds.height / 4),
       // Pre-calculate some values to improve performance
       phaseTimerCoefficient: 0.05,
       update: () => {
         // Movement pattern: enter screen, stop at 1/4 height, then strafe left-right
-        const targetY = this.canvas.height / 4;
+        const targetY = this.bounds.height / 4;
 
         if (boss.position.y < targetY) {
           // Entering phase - move down until reaching target height
@@ -1152,16 +1589,16 @@ class EnemyManager {
           if (boss.position.x < boss.size) {
             boss.position.x = boss.size;
             boss.velocity.x = Math.abs(boss.velocity.x);
-          } else if (boss.position.x > this.canvas.width - boss.size) {
-            boss.position.x = this.canvas.width - boss.size;
+          } else if (boss.position.x > this.bounds.width - boss.size) {
+            boss.position.x = this.bounds.width - boss.size;
             boss.velocity.x = -Math.abs(boss.velocity.x);
           }
 
           if (boss.position.y < boss.size) {
             boss.position.y = boss.size;
             boss.velocity.y = Math.abs(boss.velocity.y);
-          } else if (boss.position.y > this.canvas.height / 2) {
-            boss.position.y = this.canvas.height / 2;
+          } else if (boss.position.y > this.bounds.height / 2) {
+            boss.position.y = this.bounds.height / 2;
             boss.velocity.y = -Math.abs(boss.velocity.y);
           }
         }
@@ -1222,14 +1659,14 @@ class EnemyManager {
 
   // Fire projectile at a specific angle (helper for boss patterns)
   fireProjectileAngle(enemy, angle, speed, size, color) {
-    const projectile = {
-      position: new Vector(enemy.position.x, enemy.position.y),
-      velocity: new Vector(Math.cos(angle) * speed, Math.sin(angle) * speed),
-      size: size || 4,
-      color: color || "#f00", // Red projectiles
-    };
-
-    this.enemyProjectiles.push(projectile);
+    const projectile = this.enemyProjectiles.acquire();
+    if (!projectile) return;
+
+    projectile.position.set(enemy.position.x, enemy.position.y);
+    projectile.velocity.set(Math.cos(angle) * speed, Math.sin(angle) * speed);
+    projectile.size = size || 4;
+    projectile.color = color || "#f00"; // Red projectiles
+    projectile.damage = getShotDamage(projectile.size, speed);
   }
 
   // Fire projectiles in a circle pattern (for boss)
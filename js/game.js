@@ -4,9 +4,17 @@ class Game {
   constructor() {
     // DOM elements
     this.canvas = document.getElementById("gameCanvas");
-    this.ctx = this.canvas.getContext("2d");
     this.scoreDisplay = document.getElementById("score");
+    this.livesDisplay = document.getElementById("lives");
+    this.shieldBar = document.getElementById("shieldBar");
+    this.hullBar = document.getElementById("hullBar");
+    this.energyBar = document.getElementById("energyBar");
+    this.weaponDisplay = document.getElementById("weapon");
+    this.torpedoDisplay = document.getElementById("torpedoes");
+    this.bombDisplay = document.getElementById("bombs");
     this.finalScoreDisplay = document.getElementById("finalScore");
+    this.finalSeedDisplay = document.getElementById("finalSeed");
+    this.seedInput = document.getElementById("seedInput");
     this.gameOverScreen = document.getElementById("gameOver");
     this.startMenu = document.getElementById("startMenu");
     this.pauseMenu = document.getElementById("pauseMenu");
@@ -15,6 +23,25 @@ class Game {
     this.pauseButton = document.getElementById("pauseButton");
     this.resumeButton = document.getElementById("resumeButton");
     this.quitButton = document.getElementById("quitButton");
+    this.watchReplayButton = document.getElementById("watchReplayButton");
+    this.loadReplayInput = document.getElementById("loadReplayInput");
+    this.replayMessage = document.getElementById("replayMessage");
+    this.saveReplayButton = document.getElementById("saveReplayButton");
+    this.gameOverReplayButton = document.getElementById("gameOverReplayButton");
+    this.replayBar = document.getElementById("replayBar");
+    this.replayPauseButton = document.getElementById("replayPauseButton");
+    this.replaySpeedButtons = document.querySelectorAll(".replay-speed");
+    this.replaySeek = document.getElementById("replaySeek");
+    this.replayTickDisplay = document.getElementById("replayTick");
+    this.replayStatus = document.getElementById("replayStatus");
+    this.replayExitButton = document.getElementById("replayExitButton");
+    this.settingsMenu = document.getElementById("settingsMenu");
+    this.settingsButton = document.getElementById("settingsButton");
+    this.pauseSettingsButton = document.getElementById("pauseSettingsButton");
+    this.settingsResetButton = document.getElementById("settingsResetButton");
+    this.settingsBackButton = document.getElementById("settingsBackButton");
+    this.debugPanel = document.getElementById("debugOverlay");
+    this.consoleElement = document.getElementById("devConsole");
 
     // Game state
     this.isRunning = false;
@@ -25,22 +52,86 @@ class Game {
     this.frameTime = 1000 / this.fps;
     this.accumulator = 0;
 
+    // Time debugger: a frozen clock only advances one tick per step, and
+    // the time scale speeds up or slows down the fixed step
+    this.frozen = false;
+    this.timeScale = 1;
+
+    // States from before the last few seconds of ticks, kept while debugging
+    this.history = new ObjectRing(() => ({ state: null }), 300);
+
+    // Replay state: every live run is recorded tick by tick
+    this.recorder = new ReplayRecorder();
+    this.lastReplay = null;
+    this.replayPlayer = null;
+    this.playbackSpeed = 1;
+
     // Detect if performance mode is needed
     this.performanceMode = this.shouldUsePerformanceMode();
 
+    // Renderer with post-processing effects, cheaper on low-end devices
+    this.renderer = createRenderer(
+      this.canvas,
+      this.performanceMode ? "low" : "high"
+    );
+    this.canvas = this.renderer.canvas;
+    if (this.renderer.type === "webgl") {
+      this.renderer.onContextLost(() => this.handleContextLost());
+    }
+
     // Initialize canvas size
     this.resizeCanvas();
 
-    // Game objects
-    this.particles = new ParticleSystem(this.canvas, this.ctx);
-    this.grid = new Grid(this.canvas, this.ctx);
-    this.player = new Player(this.canvas, this.ctx, this.particles);
-    this.enemyManager = new EnemyManager(
+    // Game simulation and live input
+    this.simulation = new Simulation({
+      width: this.canvas.width,
+      height: this.canvas.height,
+    });
+    this.sounds = new SoundEffects();
+    this.simulation.player.sounds = this.sounds;
+
+    // Rebindable controls, saved separately from the other settings
+    this.bindings = new Bindings(window.localStorage);
+    this.input = new InputController(
       this.canvas,
-      this.ctx,
-      this.particles,
-      this.player,
-      this.grid
+      this.bindings,
+      document.getElementById("touchControls")
+    );
+
+    // Saved player settings, applied whenever they change
+    this.settings = new Settings(window.localStorage);
+    this.settingsPanel = new SettingsPanel(this.settingsMenu, this.settings);
+    this.controlsPanel = new ControlsPanel(
+      document.getElementById("controlsPanel"),
+      this.bindings
+    );
+    this.settingsReturnMenu = null; // Menu to go back to when settings close
+
+    // Visual quality follows the measured frame rate, starting lower on
+    // devices that look slow
+    this.governor = new PerformanceGovernor(
+      (level) => this.applyQuality(level),
+      this.performanceMode ? "medium" : "high"
+    );
+
+    this.applySettings();
+    this.settings.onChange((key) => this.applySettings(key));
+
+    // Developer overlay, toggled with F3
+    this.debug = new DebugOverlay(this.debugPanel);
+
+    // Developer console, toggled with the backtick key
+    this.devConsole = new DevConsole(this.consoleElement, this);
+
+    // Menu navigation with a gamepad, once one is connected
+    this.gamepadMenus = new GamepadMenus(
+      [this.settingsMenu, this.pauseMenu, this.gameOverScreen, this.startMenu],
+      {
+        start: () => this.handleGamepadStart(),
+        back: () => this.handleGamepadBack(),
+        isBlocked: () => this.controlsPanel.isCapturing(),
+      },
+      this.bindings
     );
 
     // Event listeners
@@ -50,20 +141,73 @@ class Game {
     this.pauseButton.addEventListener("click", () => this.togglePause());
     this.resumeButton.addEventListener("click", () => this.resumeGame());
     this.quitButton.addEventListener("click", () => this.quitToMenu());
+    this.watchReplayButton.addEventListener("click", () =>
+      this.watchReplay(this.lastReplay)
+    );
+    this.gameOverReplayButton.addEventListener("click", () =>
+      this.watchReplay(this.lastReplay)
+    );
+    this.saveReplayButton.addEventListener("click", () => this.saveReplay());
+    this.loadReplayInput.addEventListener("change", () => this.loadReplay());
+    this.replayPauseButton.addEventListener("click", () => this.togglePause());
+    this.replayExitButton.addEventListener("click", () => this.exitReplay());
+    this.replaySeek.addEventListener("input", () =>
+      this.seekReplay(Number(this.replaySeek.value))
+    );
+    this.replaySpeedButtons.forEach((button) => {
+      button.addEventListener("click", () =>
+        this.setPlaybackSpeed(Number(button.dataset.speed))
+      );
+    });
+    this.settingsButton.addEventListener("click", () =>
+      this.openSettings(this.startMenu)
+    );
+    this.pauseSettingsButton.addEventListener("click", () =>
+      this.openSettings(this.pauseMenu)
+    );
+    this.settingsResetButton.addEventListener("click", () => {
+      this.settings.reset();
+      this.bindings.reset();
+    });
+    this.settingsBackButton.addEventListener("click", () =>
+      this.closeSettings()
+    );
 
-    // Keyboard shortcut for pause (Escape key)
-    window.addEventListener("keydown", (e) => {
-      if (e.key === "Escape" && this.isRunning) {
+    // Pause action (Escape by default), which also backs out of the
+    // settings menu
+    this.input.onAction("pause", () => {
+      if (this.settingsPanel.isOpen()) {
+        this.closeSettings();
+      } else if (this.isRunning) {
         this.togglePause();
       }
     });
 
-    // Post-processing effects
-    this.bloomCanvas = document.createElement("canvas");
-    this.bloomCtx = this.bloomCanvas.getContext("2d");
+    // Developer keys: debug overlay and console
+    window.addEventListener("keydown", (e) => {
+      if (e.key === "F3") {
+        e.preventDefault();
+        this.toggleDebug();
+      } else if (e.key === "`") {
+        e.preventDefault();
+        this.devConsole.toggle();
+      }
+    });
 
-    // Use lower blur strength in performance mode
-    this.blurStrength = this.performanceMode ? 5 : 10;
+    // Time debugger actions, only while the debug overlay is showing
+    const debugActions = {
+      freeze: () => this.toggleFreeze(),
+      stepBack: () => this.stepBack(),
+      stepForward: () => this.stepForward(),
+      slower: () => this.stepTimeScale(-1),
+      faster: () => this.stepTimeScale(1),
+    };
+    Object.keys(debugActions).forEach((action) => {
+      this.input.onAction(action, () => {
+        if (this.debug.enabled) debugActions[action]();
+      });
+    });
+    this.canvas.addEventListener("click", (e) => this.handleCanvasClick(e));
 
     // Initialize
     this.showStartMenu();
@@ -85,32 +229,70 @@ class Game {
     return isMobile || isLowEndDevice;
   }
 
+  // Pick the enemy to inspect in the debug overlay
+  handleCanvasClick(e) {
+    if (!this.debug.enabled) return;
+
+    const rect = this.canvas.getBoundingClientRect();
+    this.debug.select(
+      e.clientX - rect.left,
+      e.clientY - rect.top,
+      this.simulation.enemyManager.enemies
+    );
+    if (this.isPaused) this.render();
+  }
+
+  // Carry on with Canvas 2D after the GPU takes the WebGL context away
+  handleContextLost() {
+    const lost = this.renderer;
+    this.renderer = createCanvasFallback(
+      lost.canvas,
+      lost.bloomQuality,
+      "WebGL context lost"
+    );
+    this.renderer.setBloomThreshold(lost.bloomThreshold);
+    this.renderer.setBloomIntensity(lost.bloomIntensity);
+    this.renderer.resize(lost.width, lost.height);
+
+    this.canvas = this.renderer.canvas;
+    this.input.setCanvas(this.canvas);
+    this.canvas.addEventListener("click", (e) => this.handleCanvasClick(e));
+
+    if (this.isPaused) this.render();
+  }
+
   // Resize canvas to fill the window
   resizeCanvas() {
-    this.canvas.width = window.innerWidth;
-    this.canvas.height = window.innerHeight;
+    // Replays keep the playfield size they were recorded with
+    if (this.replayPlayer) return;
 
-    // Resize offscreen canvas too
-    if (this.bloomCanvas) {
-      this.bloomCanvas.width = this.canvas.width;
-      this.bloomCanvas.height = this.canvas.height;
-    }
+    this.setPlayfieldSize(window.innerWidth, window.innerHeight);
+
+    // Spawn positions depend on the playfield size, so replays need it
+    this.recorder.recordResize(this.canvas.width, this.canvas.height);
+  }
+
+  // Set the size of the playfield and everything that depends on it
+  setPlayfieldSize(width, height) {
+    // Resizes the canvas along with the renderer's buffers
+    this.renderer.resize(width, height);
 
-    // Update grid if it exists
-    if (this.grid) {
-      this.grid.resize(this.canvas.width, this.canvas.height);
+    // Update simulation if it exists
+    if (this.simulation) {
+      this.simulation.resize(this.canvas.width, this.canvas.height);
     }
   }
 
   // Show the start menu
   showStartMenu() {
     this.startMenu.classList.remove("hidden");
+    this.watchReplayButton.classList.toggle("hidden", !this.lastReplay);
     this.gameOverScreen.classList.add("hidden");
     this.pauseMenu.classList.add("hidden");
     this.pauseButton.classList.add("hidden");
   }
 
-  // Start a new game
+  // Start a new game, from the seed typed into the start menu if any
   startGame() {
     this.startMenu.classList.add("hidden");
     this.gameOverScreen.classList.add("hidden");
@@ -119,7 +301,8 @@ class Game {
 
     this.isRunning = true;
     this.isPaused = false;
-    this.resetGame();
+    this.resetGame(parseSeed(this.seedInput.value));
+    this.startRecording();
     this.lastTime = performance.now();
     this.gameLoop(this.lastTime);
   }
@@ -138,21 +321,36 @@ class Game {
     if (!this.isRunning || this.isPaused) return;
 
     this.isPaused = true;
-    this.pauseMenu.classList.remove("hidden");
+
+    // Replays pause from their own control bar
+    if (this.replayPlayer) {
+      this.replayPauseButton.textContent = "▶";
+    } else {
+      this.pauseMenu.classList.remove("hidden");
+    }
 
     // Stop the animation loop
     if (this.animationFrameId) {
       cancelAnimationFrame(this.animationFrameId);
       this.animationFrameId = null;
     }
+    this.updateTouchControls();
   }
 
   // Resume the game
   resumeGame() {
     if (!this.isRunning || !this.isPaused) return;
 
+    // A finished replay starts over when resumed
+    if (this.replayPlayer && this.replayPlayer.isFinished()) {
+      this.seekReplay(0);
+    }
+
     this.isPaused = false;
     this.pauseMenu.classList.add("hidden");
+    this.settingsPanel.close();
+    this.settingsReturnMenu = null;
+    this.replayPauseButton.textContent = "❚❚";
 
     // Restart the animation loop
     this.lastTime = performance.now();
@@ -165,12 +363,18 @@ class Game {
     this.isPaused = false;
     this.pauseMenu.classList.add("hidden");
     this.pauseButton.classList.add("hidden");
+    this.updateTouchControls();
 
     if (this.animationFrameId) {
       cancelAnimationFrame(this.animationFrameId);
       this.animationFrameId = null;
     }
 
+    // Keep the unfinished run so it can still be watched
+    if (this.recorder.recording) {
+      this.lastReplay = this.recorder.stop(this.simulation.getScore());
+    }
+
     this.showStartMenu();
   }
 
@@ -181,20 +385,23 @@ class Game {
     this.isRunning = true;
     this.isPaused = false;
     this.resetGame();
+    this.startRecording();
     this.lastTime = performance.now();
     this.gameLoop(this.lastTime);
   }
 
-  // Reset game state
-  resetGame() {
-    this.player.reset();
-    this.enemyManager.reset();
-    this.particles.reset();
+  // Reset game state and restart the random sequence from the given seed,
+  // starting with the number of lives from the settings
+  resetGame(seed = randomSeed(), lives = this.settings.get("lives")) {
+    this.accumulator = 0;
+    this.history.clear();
+    this.simulation.reset(seed, lives);
   }
 
   // Game loop using fixed time step
   gameLoop(currentTime) {
     if (!this.isRunning) return;
+    this.updateTouchControls();
 
     // Request next frame first
     this.animationFrameId = requestAnimationFrame((time) =>
@@ -205,20 +412,38 @@ class Game {
     const deltaTime = currentTime - this.lastTime;
     this.lastTime = currentTime;
 
-    // Add to accumulator
-    this.accumulator += deltaTime;
+    const workStart = performance.now();
+
+    // Add to accumulator (replays can run faster than real time, and the
+    // time debugger can scale or freeze the clock)
+    if (!this.frozen) {
+      this.accumulator += deltaTime * this.playbackSpeed * this.timeScale;
+    }
 
     // Update game at fixed intervals
+    let ticks = 0;
     while (this.accumulator >= this.frameTime) {
+      if (this.replayPlayer && this.replayPlayer.isFinished()) {
+        this.finishReplay();
+        break;
+      }
+
       this.update();
       this.accumulator -= this.frameTime;
+      ticks++;
     }
+    this.debug.sample(deltaTime, ticks);
 
     // Render game
     this.render();
 
-    // Check for game over
-    if (!this.player.alive) {
+    // Let the governor adjust quality to the measured frame time
+    this.governor.sample(deltaTime, performance.now() - workStart);
+
+    // Check for game over (a replay just plays out to its last tick)
+    if (this.replayPlayer) {
+      this.updateReplayBar();
+    } else if (this.simulation.isOver()) {
       this.gameOver();
     }
 
@@ -228,87 +453,226 @@ class Game {
 
   // Update game state
   update() {
-    this.grid.update();
-    this.player.update(this.grid);
-    this.enemyManager.update();
-    this.particles.update();
+    let frame;
+
+    if (this.replayPlayer) {
+      // Apply any playfield resize recorded before this tick
+      let resize;
+      while ((resize = this.replayPlayer.nextResize())) {
+        this.setPlayfieldSize(resize.width, resize.height);
+      }
+
+      frame = this.replayPlayer.next();
+    } else {
+      // Keep recent states while debugging so time can be stepped back
+      if (this.debug.enabled) {
+        this.history.acquire().state = this.simulation.saveState();
+      }
+
+      frame = this.input.getFrame(this.simulation.player.position);
+      this.recorder.record(frame);
+    }
+
+    this.simulation.step(decodeInputFrame(frame));
   }
 
   // Render the game
   render() {
+    const { grid, particles, enemyManager, player } = this.simulation;
+    const renderer = this.renderer;
+
+    renderer.begin();
+
     // Render space background first
-    this.grid.render();
-
-    // Main rendering pass to bloom canvas
-    this.bloomCtx.clearRect(
-      0,
-      0,
-      this.bloomCanvas.width,
-      this.bloomCanvas.height
+    grid.render(renderer);
+
+    // Draw entities
+    particles.render(renderer);
+    enemyManager.render(renderer);
+    player.render(renderer);
+
+    // Hitboxes and stats when debugging
+    this.debug.render(renderer, this);
+
+    // Apply bloom effect and present
+    renderer.end();
+  }
+
+  // Apply a quality level picked by the performance governor, scaled by
+  // the particle density setting
+  applyQuality(level) {
+    const { particles, grid } = this.simulation;
+    const density = this.settings.get("particles");
+
+    this.renderer.setBloomQuality(level.bloom);
+    particles.setLimits(
+      Math.round(level.maxParticles * density),
+      Math.round(level.maxTrailParticles * density)
     );
+    particles.trailDensity = level.trailDensity * density;
+    grid.setStarDensity(level.starDensity);
+  }
 
-    // Draw entities to bloom canvas
-    this.bloomCtx.save();
-    this.bloomCtx.globalCompositeOperation = "lighter";
+  // Apply the saved settings to the running systems
+  // Given the key of the one setting that changed, only what depends on it
+  // is touched, as sliders change their setting on every step
+  applySettings(key) {
+    const settings = this.settings;
+    const changed = (...keys) => key === undefined || keys.includes(key);
+
+    if (changed("graphics")) {
+      const graphics = settings.get("graphics");
+
+      // "auto" leaves the quality level to the governor
+      this.governor.enabled = graphics === "auto";
+      this.governor.setLevel(
+        graphics === "auto"
+          ? this.governor.level
+          : getQualityLevelIndex(graphics)
+      );
+    } else if (changed("particles")) {
+      this.applyQuality(this.governor.getLevel());
+    }
 
-    this.particles.render();
-    this.enemyManager.render();
-    this.player.render();
+    if (changed("glow")) {
+      this.renderer.setBloomIntensity(settings.get("glow"));
+    }
+    if (changed("shake")) {
+      this.simulation.grid.shakeScale = settings.get("shake");
+    }
+    if (changed("masterVolume", "effectsVolume")) {
+      this.sounds.setVolume(
+        settings.get("masterVolume") * settings.get("effectsVolume")
+      );
+    }
+    if (changed("touchSize", "touchOpacity", "touchLayout")) {
+      this.input.joysticks.configure(
+        settings.get("touchSize"),
+        settings.get("touchOpacity"),
+        settings.get("touchLayout") === "left"
+      );
+    }
+  }
 
-    this.bloomCtx.restore();
+  // Show the touch sticks only while a live run is being played
+  updateTouchControls() {
+    this.input.joysticks.setVisible(
+      this.isRunning && !this.isPaused && !this.replayPlayer
+    );
+  }
 
-    // Apply bloom effect
-    this.applyBloom();
+  // Show or hide the debug overlay; hiding it also leaves the time debugger
+  toggleDebug() {
+    this.debug.toggle();
 
-    // Copy bloom canvas to main canvas
-    this.ctx.globalCompositeOperation = "lighter";
-    this.ctx.drawImage(this.bloomCanvas, 0, 0);
-    this.ctx.globalCompositeOperation = "source-over";
+    if (!this.debug.enabled) {
+      this.frozen = false;
+      this.history.clear();
+    }
+    if (this.isPaused) this.render();
   }
 
-  // Apply bloom (glow) effect to the rendered scene
-  applyBloom() {
-    const tempCanvas = document.createElement("canvas");
-    tempCanvas.width = this.bloomCanvas.width;
-    tempCanvas.height = this.bloomCanvas.height;
-    const tempCtx = tempCanvas.getContext("2d");
+  // Stop or restart the simulation clock
+  toggleFreeze() {
+    this.frozen = !this.frozen;
+    this.accumulator = 0;
+  }
 
-    // Copy original content
-    tempCtx.drawImage(this.bloomCanvas, 0, 0);
+  // Slow down or speed up the simulation (0.1x to 4x)
+  // Ticks keep their fixed length, only how many run per frame changes
+  setTimeScale(scale) {
+    this.timeScale = clamp(scale, 0.1, 4);
+  }
+
+  // Move to the next slower (-1) or faster (1) preset time scale
+  stepTimeScale(direction) {
+    const scales = DEBUG_TIME_SCALES;
+    const index =
+      direction > 0
+        ? scales.findIndex((scale) => scale > this.timeScale)
+        : scales.findLastIndex((scale) => scale < this.timeScale);
+
+    if (index !== -1) {
+      this.setTimeScale(scales[index]);
+    }
+  }
+
+  // Check if the pause or settings menu is covering the game
+  isMenuOpen() {
+    return (
+      this.settingsPanel.isOpen() ||
+      !this.pauseMenu.classList.contains("hidden")
+    );
+  }
 
-    // Reduce blur strength for better performance
-    const optimizedBlurStrength = Math.min(this.blurStrength, 6);
+  // Run exactly one tick while frozen
+  stepForward() {
+    if (!this.isRunning || !this.frozen || this.isMenuOpen()) return;
+    if (this.replayPlayer && this.replayPlayer.isFinished()) return;
 
-    // Apply horizontal blur with fewer iterations
-    this.bloomCtx.globalAlpha = 0.5;
-    this.bloomCtx.globalCompositeOperation = "lighter";
+    this.update();
+    this.render();
+    this.updateScore();
+  }
 
-    for (let i = 1; i <= optimizedBlurStrength; i += 1) {
-      const weight = 1.0 - i / optimizedBlurStrength;
-      this.bloomCtx.globalAlpha = 0.15 * weight;
+  // Undo the last tick while frozen
+  stepBack() {
+    if (!this.isRunning || !this.frozen || this.isMenuOpen()) return;
 
-      // Use larger offsets for fewer iterations but similar effect
-      const offset = i * 2;
-      this.bloomCtx.drawImage(tempCanvas, offset, 0);
-      this.bloomCtx.drawImage(tempCanvas, -offset, 0);
+    // Replays can already seek to any tick
+    if (this.replayPlayer) {
+      this.seekReplay(this.replayPlayer.tick - 1);
+      return;
     }
+    if (this.history.length === 0) return;
 
-    // Apply vertical blur with fewer iterations
-    tempCtx.clearRect(0, 0, tempCanvas.width, tempCanvas.height);
-    tempCtx.drawImage(this.bloomCanvas, 0, 0);
+    this.simulation.loadState(this.history.get(this.history.length - 1).state);
+    this.history.releaseNewest();
+    this.recorder.rewind(1);
 
-    for (let i = 1; i <= optimizedBlurStrength; i += 1) {
-      const weight = 1.0 - i / optimizedBlurStrength;
-      this.bloomCtx.globalAlpha = 0.15 * weight;
+    this.render();
+    this.updateScore();
+  }
 
-      // Use larger offsets for fewer iterations but similar effect
-      const offset = i * 2;
-      this.bloomCtx.drawImage(tempCanvas, 0, offset);
-      this.bloomCtx.drawImage(tempCanvas, 0, -offset);
+  // Gamepad Start button: pause or resume, or start a new game from the
+  // menus
+  handleGamepadStart() {
+    if (this.settingsPanel.isOpen()) {
+      this.closeSettings();
+    } else if (this.isRunning) {
+      this.togglePause();
+    } else if (!this.startMenu.classList.contains("hidden")) {
+      this.startGame();
+    } else if (!this.gameOverScreen.classList.contains("hidden")) {
+      this.restartGame();
     }
+  }
 
-    // Reset alpha
-    this.bloomCtx.globalAlpha = 1.0;
+  // Gamepad B button: back out of the settings or the pause menu
+  handleGamepadBack() {
+    if (this.settingsPanel.isOpen()) {
+      this.closeSettings();
+    } else if (this.isPaused && !this.replayPlayer) {
+      this.resumeGame();
+    }
+  }
+
+  // Show the settings menu in place of the given menu
+  openSettings(fromMenu) {
+    this.settingsReturnMenu = fromMenu;
+    fromMenu.classList.add("hidden");
+    this.settingsPanel.open();
+  }
+
+  // Hide the settings menu and go back to the menu it was opened from
+  closeSettings() {
+    this.controlsPanel.cancelCapture();
+    this.settingsPanel.close();
+
+    if (this.settingsReturnMenu) {
+      this.settingsReturnMenu.classList.remove("hidden");
+      this.settingsReturnMenu = null;
+    }
   }
 
   // Game over sequence
@@ -316,12 +680,20 @@ class Game {
     this.isRunning = false;
     this.isPaused = false;
 
-    // Hide pause button
+    // Hide pause button and touch sticks
     this.pauseButton.classList.add("hidden");
     this.pauseMenu.classList.add("hidden");
+    this.updateTouchControls();
 
-    // Update final score
-    this.finalScoreDisplay.textContent = this.enemyManager.getScore();
+    // Update final score and the seed needed to replay this run
+    this.finalScoreDisplay.textContent = this.simulation.getScore();
+    this.finalSeedDisplay.textContent = this.simulation.getSeed();
+
+    // Keep the recording so it can be watched or saved (runs changed from
+    // the developer console have none)
+    this.lastReplay = this.recorder.stop(this.simulation.getScore());
+    this.gameOverReplayButton.classList.toggle("hidden", !this.lastReplay);
+    this.saveReplayButton.classList.toggle("hidden", !this.lastReplay);
 
     // Show game over screen after a short delay
     setTimeout(() => {
@@ -329,11 +701,190 @@ class Game {
     }, 1500);
   }
 
-  // Update score display
+  // Begin recording the run that was just reset
+  startRecording() {
+    this.recorder.start(
+      this.simulation.getSeed(),
+      this.canvas.width,
+      this.canvas.height,
+      this.simulation.player.startingLives
+    );
+  }
+
+  // Watch a replay from the first tick
+  watchReplay(replay) {
+    if (!replay) return;
+
+    this.startMenu.classList.add("hidden");
+    this.gameOverScreen.classList.add("hidden");
+    this.pauseMenu.classList.add("hidden");
+    this.pauseButton.classList.add("hidden");
+    this.replayBar.classList.remove("hidden");
+
+    if (this.animationFrameId) {
+      cancelAnimationFrame(this.animationFrameId);
+      this.animationFrameId = null;
+    }
+
+    this.replayPlayer = new ReplayPlayer(replay);
+    this.replaySeek.max = replay.ticks;
+    this.replayStatus.textContent = "";
+    this.replayPauseButton.textContent = "❚❚";
+    this.setPlaybackSpeed(1);
+    this.restartReplay();
+
+    this.isRunning = true;
+    this.isPaused = false;
+    this.lastTime = performance.now();
+    this.gameLoop(this.lastTime);
+  }
+
+  // Reset the simulation to the start of the replay being watched
+  restartReplay() {
+    const replay = this.replayPlayer.replay;
+    this.setPlayfieldSize(replay.width, replay.height);
+    this.resetGame(replay.seed, replay.lives);
+    this.replayPlayer.rewind();
+  }
+
+  // Jump to a tick of the replay by re-simulating from the closest start
+  seekReplay(tick) {
+    if (!this.replayPlayer) return;
+
+    const target = clamp(Math.floor(tick), 0, this.replayPlayer.replay.ticks);
+
+    // The simulation only runs forward, so seeking back starts over
+    if (target < this.replayPlayer.tick) {
+      this.restartReplay();
+    }
+
+    // Skipped ticks play no sound
+    this.sounds.muted = true;
+    while (this.replayPlayer.tick < target) {
+      this.update();
+    }
+    this.sounds.muted = false;
+
+    this.replayStatus.textContent = "";
+    this.render();
+    this.updateScore();
+    this.updateReplayBar();
+  }
+
+  // Change how many ticks are simulated per real-time frame
+  setPlaybackSpeed(speed) {
+    this.playbackSpeed = speed;
+    this.replaySpeedButtons.forEach((button) => {
+      button.classList.toggle("active", Number(button.dataset.speed) === speed);
+    });
+  }
+
+  // Stop at the end of the replay and check the recorded score
+  finishReplay() {
+    const recordedScore = this.replayPlayer.replay.score;
+    const verified = this.simulation.getScore() === recordedScore;
+
+    this.replayStatus.textContent = verified
+      ? "Score verified"
+      : `Score mismatch (recorded ${recordedScore})`;
+
+    this.pauseGame();
+  }
+
+  // Leave replay playback and go back to the start menu
+  exitReplay() {
+    if (!this.replayPlayer) return;
+
+    this.isRunning = false;
+    this.isPaused = false;
+    this.replayPlayer = null;
+    this.setPlaybackSpeed(1);
+    this.replayBar.classList.add("hidden");
+
+    if (this.animationFrameId) {
+      cancelAnimationFrame(this.animationFrameId);
+      this.animationFrameId = null;
+    }
+
+    this.resizeCanvas();
+    this.showStartMenu();
+  }
+
+  // Show the playback position in the replay bar
+  updateReplayBar() {
+    const replay = this.replayPlayer.replay;
+    this.replaySeek.value = this.replayPlayer.tick;
+    this.replayTickDisplay.textContent = `${this.replayPlayer.tick} / ${replay.ticks}`;
+  }
+
+  // Download the last recorded run as a replay file
+  saveReplay() {
+    if (!this.lastReplay) return;
+
+    const blob = new Blob([serializeReplay(this.lastReplay)], {
+      type: "application/json",
+    });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `starwars-replay-${this.lastReplay.seed}-${this.lastReplay.score}.json`;
+    link.click();
+
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  // Read a replay file chosen from the start menu and play it
+  loadReplay() {
+    const file = this.loadReplayInput.files[0];
+    if (!file) return;
+
+    this.replayMessage.textContent = "";
+
+    file
+      .text()
+      .then((text) => {
+        this.lastReplay = parseReplay(text);
+        this.watchReplay(this.lastReplay);
+      })
+      .catch((e) => {
+        this.replayMessage.textContent = e.message;
+      })
+      .finally(() => {
+        // Allow the same file to be chosen again
+        this.loadReplayInput.value = "";
+      });
+  }
+
+  // Update score, lives and ship status display
   updateScore() {
+    const player = this.simulation.player;
+
+    // One ship per life left, the one in play included
+    this.livesDisplay.textContent = "▲".repeat(this.simulation.getLives());
+    this.shieldBar.style.width = `${(player.shield / player.maxShield) * 100}%`;
+    this.hullBar.style.width = `${(player.hull / player.maxHull) * 100}%`;
+    this.energyBar.style.width = `${(player.energy / player.maxEnergy) * 100}%`;
+    this.energyBar.classList.toggle("depleted", player.energyDepleted);
+
+    // Weapon held, with the seconds left on a collected one
+    const weapon = player.getWeapon();
+    this.weaponDisplay.textContent =
+      player.weaponTimer > 0
+        ? `${weapon.name} ${Math.ceil(player.weaponTimer / 60)}s`
+        : weapon.name;
+    this.weaponDisplay.style.color = weapon.color;
+    this.weaponDisplay.style.textShadow = `0 0 10px ${weapon.color}`;
+
+    // Torpedoes and bombs left, one mark each
+    this.torpedoDisplay.textContent = `${TORPEDO.icon} ${"●".repeat(
+      player.torpedoAmmo
+    )}`;
+    this.bombDisplay.textContent = SMART_BOMB.icon.repeat(player.bombs);
+
     // Get score and combo data
-    const score = this.enemyManager.getScore();
-    const comboData = this.enemyManager.getCombo();
+    const score = this.simulation.getScore();
+    const comboData = this.simulation.enemyManager.getCombo();
 
     // Update score text
     this.scoreDisplay.textContent = score;
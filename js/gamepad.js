@@ -0,0 +1,237 @@
+// Gamepad support: stick and button reading, and menu navigation
+
+// Menu buttons, by index in the standard gamepad mapping
+const GAMEPAD_BUTTONS = {
+  a: 0,
+  b: 1,
+  up: 12,
+  down: 13,
+  left: 14,
+  right: 15,
+};
+
+// Names of the buttons in the standard gamepad mapping, by index
+const GAMEPAD_BUTTON_NAMES = [
+  "Pad A",
+  "Pad B",
+  "Pad X",
+  "Pad Y",
+  "Pad LB",
+  "Pad RB",
+  "Pad LT",
+  "Pad RT",
+  "Pad Back",
+  "Pad Start",
+  "Pad LS",
+  "Pad RS",
+  "Pad Up",
+  "Pad Down",
+  "Pad Left",
+  "Pad Right",
+];
+
+// Stick travel ignored around the centre, so worn sticks don't drift
+const GAMEPAD_DEADZONE = 0.2;
+
+// Get the first connected gamepad, or null
+const getGamepad = () => {
+  if (!navigator.getGamepads) return null;
+
+  const gamepads = navigator.getGamepads();
+  for (let i = 0; i < gamepads.length; i++) {
+    if (gamepads[i] && gamepads[i].connected) {
+      return gamepads[i];
+    }
+  }
+  return null;
+};
+
+// Read a stick as a vector of length 0 to 1, with the dead zone removed and
+// the rest of the travel rescaled so movement starts smoothly at its edge
+const readStick = (gamepad, xAxis, yAxis) => {
+  const x = gamepad.axes[xAxis] || 0;
+  const y = gamepad.axes[yAxis] || 0;
+  const magnitude = Math.sqrt(x * x + y * y);
+
+  if (magnitude < GAMEPAD_DEADZONE) {
+    return { x: 0, y: 0 };
+  }
+
+  const scale =
+    Math.min((magnitude - GAMEPAD_DEADZONE) / (1 - GAMEPAD_DEADZONE), 1) /
+    magnitude;
+  return { x: x * scale, y: y * scale };
+};
+
+// Check if a button is held (analog triggers count past half way)
+const isGamepadButtonPressed = (gamepad, index) => {
+  const button = gamepad.buttons[index];
+  return !!button && (button.pressed || button.value > 0.5);
+};
+
+// Drives the menus with a gamepad: the d-pad or left stick moves between
+// controls and changes settings, A presses, B goes back and the buttons
+// bound to pause pause
+class GamepadMenus {
+  constructor(menus, actions, bindings) {
+    this.menus = menus; // Menu elements, the first one showing is driven
+    this.actions = actions; // { start, back, isBlocked } callbacks
+    this.bindings = bindings;
+    this.polling = false;
+
+    // Button states from the last poll, to act once per press
+    this.previous = [];
+
+    // Focus within the menu showing
+    this.menu = null;
+    this.focusIndex = 0;
+    this.focused = null;
+
+    // Held directions repeat after a delay, like a held key
+    this.held = { vertical: 0, horizontal: 0 };
+    this.repeatTimers = { vertical: 0, horizontal: 0 };
+    this.repeatDelay = 20; // Frames before a held direction repeats
+    this.repeatRate = 8; // Frames between repeats
+
+    window.addEventListener("gamepadconnected", () => this.start());
+    if (getGamepad()) this.start();
+  }
+
+  // Poll every animation frame until the last gamepad is unplugged
+  start() {
+    if (this.polling) return;
+    this.polling = true;
+
+    const loop = () => {
+      if (!getGamepad()) {
+        this.polling = false;
+        this.setFocus(null);
+        return;
+      }
+
+      this.poll();
+      requestAnimationFrame(loop);
+    };
+    requestAnimationFrame(loop);
+  }
+
+  // Read the gamepad and drive the menu showing
+  poll() {
+    const gamepad = getGamepad();
+    const justPressed = (index) =>
+      isGamepadButtonPressed(gamepad, index) && !this.previous[index];
+
+    const menu = this.menus.find(
+      (element) => !element.classList.contains("hidden")
+    );
+
+    if (this.actions.isBlocked()) {
+      // Another control is reading the gamepad
+    } else if (this.bindings.getGamepadButtons("pause").some(justPressed)) {
+      this.actions.start();
+    } else if (menu) {
+      this.driveMenu(menu, gamepad, justPressed);
+    } else {
+      this.menu = null;
+      this.setFocus(null);
+    }
+
+    this.previous = gamepad.buttons.map((button, i) =>
+      isGamepadButtonPressed(gamepad, i)
+    );
+  }
+
+  // Move the focus, change values and press buttons in a menu
+  driveMenu(menu, gamepad, justPressed) {
+    const controls = Array.from(
+      menu.querySelectorAll("button, .button, select, input[type='range']")
+    ).filter((control) => control.offsetParent !== null);
+    if (controls.length === 0) return;
+
+    // Start from the top whenever a different menu opens
+    if (menu !== this.menu) {
+      this.menu = menu;
+      this.focusIndex = 0;
+    }
+
+    const stick = readStick(gamepad, 0, 1);
+    const vertical = this.readDirection(
+      "vertical",
+      isGamepadButtonPressed(gamepad, GAMEPAD_BUTTONS.up) || stick.y < -0.5,
+      isGamepadButtonPressed(gamepad, GAMEPAD_BUTTONS.down) || stick.y > 0.5
+    );
+    const horizontal = this.readDirection(
+      "horizontal",
+      isGamepadButtonPressed(gamepad, GAMEPAD_BUTTONS.left) || stick.x < -0.5,
+      isGamepadButtonPressed(gamepad, GAMEPAD_BUTTONS.right) || stick.x > 0.5
+    );
+
+    this.focusIndex =
+      (clamp(this.focusIndex, 0, controls.length - 1) +
+        vertical +
+        controls.length) %
+      controls.length;
+    const control = controls[this.focusIndex];
+    this.setFocus(control);
+
+    if (horizontal !== 0) {
+      this.adjust(control, horizontal);
+    }
+    if (justPressed(GAMEPAD_BUTTONS.a)) {
+      control.click();
+    }
+    if (justPressed(GAMEPAD_BUTTONS.b)) {
+      this.actions.back();
+    }
+  }
+
+  // Turn a pair of held inputs into -1, 0 or 1, repeating while held
+  readDirection(axis, negative, positive) {
+    const direction = negative ? -1 : positive ? 1 : 0;
+
+    if (direction === 0 || direction !== this.held[axis]) {
+      this.held[axis] = direction;
+      this.repeatTimers[axis] = this.repeatDelay;
+      return direction;
+    }
+
+    this.repeatTimers[axis]--;
+    if (this.repeatTimers[axis] <= 0) {
+      this.repeatTimers[axis] = this.repeatRate;
+      return direction;
+    }
+    return 0;
+  }
+
+  // Step a select or slider, firing the event its listeners expect
+  adjust(control, direction) {
+    if (control.tagName === "SELECT") {
+      control.selectedIndex = clamp(
+        control.selectedIndex + direction,
+        0,
+        control.options.length - 1
+      );
+      control.dispatchEvent(new Event("change"));
+    } else if (control.type === "range") {
+      if (direction > 0) {
+        control.stepUp();
+      } else {
+        control.stepDown();
+      }
+      control.dispatchEvent(new Event("input"));
+    }
+  }
+
+  // Highlight the focused control
+  setFocus(control) {
+    if (control === this.focused) return;
+
+    if (this.focused) {
+      this.focused.classList.remove("gamepad-focus");
+    }
+    if (control) {
+      control.classList.add("gamepad-focus");
+    }
+    this.focused = control;
+  }
+}
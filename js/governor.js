@@ -0,0 +1,124 @@
+// Adaptive performance governor
+// Measures real frame times and steps the visual quality up or down
+
+// Quality levels from cheapest to prettiest
+const QUALITY_LEVELS = [
+  {
+    name: "minimal",
+    bloom: "off",
+    maxParticles: 100,
+    maxTrailParticles: 40,
+    starDensity: 0.35,
+    trailDensity: 0.4,
+  },
+  {
+    name: "low",
+    bloom: "off",
+    maxParticles: 150,
+    maxTrailParticles: 70,
+    starDensity: 0.6,
+    trailDensity: 0.7,
+  },
+  {
+    name: "medium",
+    bloom: "low",
+    maxParticles: 200,
+    maxTrailParticles: 100,
+    starDensity: 1,
+    trailDensity: 1,
+  },
+  {
+    name: "high",
+    bloom: "high",
+    maxParticles: 400,
+    maxTrailParticles: 200,
+    starDensity: 1,
+    trailDensity: 1,
+  },
+];
+
+// Find the index of a quality level by name
+const getQualityLevelIndex = (name) => {
+  return QUALITY_LEVELS.findIndex((level) => level.name === name);
+};
+
+class PerformanceGovernor {
+  constructor(apply, startLevel = "high") {
+    this.apply = apply; // Called with a quality level whenever it changes
+    this.enabled = true;
+
+    // Frame budget for 60fps
+    this.targetFrameTime = 1000 / 60;
+
+    // Smoothed measurements (exponential moving averages)
+    this.frameTime = this.targetFrameTime; // Time between frames
+    this.workTime = 0; // Time spent updating and rendering
+    this.smoothing = 0.05;
+
+    // Hysteresis: the load has to stay past a threshold for a while before
+    // the level changes, and stepping up takes much longer than stepping down
+    this.slowFrames = 0;
+    this.fastFrames = 0;
+    this.downgradeAfter = 90; // Frames (1.5 seconds)
+    this.upgradeAfter = 600; // Frames (10 seconds)
+    this.cooldown = 0; // Frames to wait after a change before measuring again
+    this.cooldownFrames = 120;
+
+    this.setLevel(getQualityLevelIndex(startLevel));
+  }
+
+  // Get the current quality level
+  getLevel() {
+    return QUALITY_LEVELS[this.level];
+  }
+
+  // Switch to a quality level by index and apply it
+  setLevel(level) {
+    this.level = clamp(level, 0, QUALITY_LEVELS.length - 1);
+    this.slowFrames = 0;
+    this.fastFrames = 0;
+    this.cooldown = this.cooldownFrames;
+    this.apply(this.getLevel());
+  }
+
+  // Record one rendered frame
+  // frameTime is the time since the last frame, workTime the time spent on it
+  sample(frameTime, workTime) {
+    if (!this.enabled) return;
+
+    // Ignore hitches from tab switches, pauses and garbage collection pauses
+    // long enough to not be about steady load
+    if (frameTime > 250) return;
+
+    this.frameTime += (frameTime - this.frameTime) * this.smoothing;
+    this.workTime += (workTime - this.workTime) * this.smoothing;
+
+    if (this.cooldown > 0) {
+      this.cooldown--;
+      return;
+    }
+
+    const budget = this.targetFrameTime;
+
+    // Missing frames, or close to it: step down
+    const slow = this.frameTime > budget * 1.25 || this.workTime > budget * 0.8;
+
+    // Hitting the frame rate with lots of room to spare: step up
+    const fast = this.frameTime < budget * 1.1 && this.workTime < budget * 0.4;
+
+    this.slowFrames = slow ? this.slowFrames + 1 : 0;
+    this.fastFrames = fast ? this.fastFrames + 1 : 0;
+
+    if (this.slowFrames >= this.downgradeAfter && this.level > 0) {
+      this.setLevel(this.level - 1);
+
+      // Don't climb straight back into a level that was too slow
+      this.upgradeAfter = Math.min(this.upgradeAfter * 2, 3600);
+    } else if (
+      this.fastFrames >= this.upgradeAfter &&
+      this.level < QUALITY_LEVELS.length - 1
+    ) {
+      this.setLevel(this.level + 1);
+    }
+  }
+}
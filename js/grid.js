@@ -1,15 +1,17 @@
 // Space background with stars effect
 
 class Grid {
-  constructor(canvas, ctx) {
-    this.canvas = canvas;
-    this.ctx = ctx;
-    this.width = canvas.width;
-    this.height = canvas.height;
+  constructor(bounds, rng) {
+    this.seedRng = rng;
+    this.width = bounds.width;
+    this.height = bounds.height;
 
     // Stars properties
+    this.shakeScale = 1; // Camera shake strength from the settings, 0 for none
+
     this.stars = [];
     this.numStars = 300;
+    this.starDensity = 1; // Share of numStars drawn, lowered on slow devices
     this.nebulaColors = [
       "rgba(41, 73, 255, 0.1)",
       "rgba(140, 67, 255, 0.1)",
@@ -26,34 +28,44 @@ class Grid {
 
   // Initialize stars
   setupStars() {
+    // The background draws from its own stream derived from the run seed,
+    // so resizing the window never shifts the gameplay sequence
+    this.rng = this.seedRng.derive("grid");
+
+    // Drawing gets another, as the number of frames drawn per tick varies
+    // and must not move where stars respawn
+    this.renderRng = this.seedRng.derive("grid-render");
+
+    // Every star is kept moving; the density only limits how many are drawn
     this.stars = [];
     for (let i = 0; i < this.numStars; i++) {
       this.stars.push({
-        x: Math.random() * this.width,
-        y: Math.random() * this.height,
-        size: Math.random() * 2 + 0.5,
-        speed: Math.random() * 0.3 + 0.1,
-        brightness: Math.random() * 0.8 + 0.2,
-        blinkSpeed: Math.random() * 0.05,
-        blinkOffset: Math.random() * Math.PI * 2,
+        x: this.rng.next() * this.width,
+        y: this.rng.next() * this.height,
+        size: this.rng.next() * 2 + 0.5,
+        speed: this.rng.next() * 0.3 + 0.1,
+        brightness: this.rng.next() * 0.8 + 0.2,
+        blinkSpeed: this.rng.next() * 0.05,
+        blinkOffset: this.rng.next() * Math.PI * 2,
       });
     }
   }
 
   // Create nebula cloud effect
   setupNebulaClouds() {
+    this.nebulaClouds = [];
     for (let i = 0; i < 5; i++) {
       this.nebulaClouds.push({
-        x: Math.random() * this.width,
-        y: Math.random() * this.height,
-        radius: Math.random() * 300 + 200,
+        x: this.rng.next() * this.width,
+        y: this.rng.next() * this.height,
+        radius: this.rng.next() * 300 + 200,
         color:
           this.nebulaColors[
-            Math.floor(Math.random() * this.nebulaColors.length)
+            Math.floor(this.rng.next() * this.nebulaColors.length)
           ],
         drift: {
-          x: (Math.random() - 0.5) * 0.1,
-          y: (Math.random() - 0.5) * 0.1,
+          x: (this.rng.next() - 0.5) * 0.1,
+          y: (this.rng.next() - 0.5) * 0.1,
         },
       });
     }
@@ -80,7 +92,7 @@ class Grid {
       // Reset stars that go off the bottom of the screen
       if (star.y > this.height) {
         star.y = 0;
-        star.x = Math.random() * this.width;
+        star.x = this.rng.next() * this.width;
       }
     });
 
@@ -106,35 +118,35 @@ class Grid {
   }
 
   // Render the space background
-  render() {
-    this.ctx.save();
+  render(renderer) {
+    const ctx = renderer.ctx;
+    ctx.save();
 
     // Apply camera shake if active
     if (this.isShaking && this.shakeTime > 0) {
-      const shakeOffsetX =
-        (Math.random() * 2 - 1) * this.shakeIntensity * this.shakeTime;
-      const shakeOffsetY =
-        (Math.random() * 2 - 1) * this.shakeIntensity * this.shakeTime;
-      this.ctx.translate(shakeOffsetX, shakeOffsetY);
+      const shake = this.shakeIntensity * this.shakeTime * this.shakeScale;
+      const shakeOffsetX = (this.renderRng.next() * 2 - 1) * shake;
+      const shakeOffsetY = (this.renderRng.next() * 2 - 1) * shake;
+      ctx.translate(shakeOffsetX, shakeOffsetY);
     }
 
     // Fill the background with space color
-    this.ctx.fillStyle = "#000";
-    this.ctx.fillRect(0, 0, this.width, this.height);
+    ctx.fillStyle = "#000";
+    ctx.fillRect(0, 0, this.width, this.height);
 
     // Render nebula clouds
-    this.renderNebula();
+    this.renderNebula(ctx);
 
     // Render stars
-    this.renderStars();
+    this.renderStars(ctx);
 
-    this.ctx.restore();
+    ctx.restore();
   }
 
   // Render nebula clouds
-  renderNebula() {
+  renderNebula(ctx) {
     this.nebulaClouds.forEach((cloud) => {
-      const gradient = this.ctx.createRadialGradient(
+      const gradient = ctx.createRadialGradient(
         cloud.x,
         cloud.y,
         0,
@@ -146,18 +158,21 @@ class Grid {
       gradient.addColorStop(0, cloud.color);
       gradient.addColorStop(1, "rgba(0,0,0,0)");
 
-      this.ctx.fillStyle = gradient;
-      this.ctx.beginPath();
-      this.ctx.arc(cloud.x, cloud.y, cloud.radius, 0, Math.PI * 2);
-      this.ctx.fill();
+      ctx.fillStyle = gradient;
+      ctx.beginPath();
+      ctx.arc(cloud.x, cloud.y, cloud.radius, 0, Math.PI * 2);
+      ctx.fill();
     });
   }
 
   // Render stars
-  renderStars() {
-    this.ctx.save();
+  renderStars(ctx) {
+    ctx.save();
+
+    const count = Math.round(this.stars.length * this.starDensity);
+    for (let i = 0; i < count; i++) {
+      const star = this.stars[i];
 
-    this.stars.forEach((star) => {
       // Calculate star brightness with blinking effect
       const time = performance.now() / 1000;
       const blink =
@@ -165,29 +180,42 @@ class Grid {
       const brightness = star.brightness * (0.7 + 0.3 * blink);
 
       // Draw star
-      this.ctx.fillStyle = `rgba(255, 255, 255, ${brightness})`;
+      ctx.fillStyle = `rgba(255, 255, 255, ${brightness})`;
 
       // Draw larger stars with glow
       if (star.size > 1.5) {
         // Add glow effect for bigger stars
-        this.ctx.shadowColor = "white";
-        this.ctx.shadowBlur = 10;
+        ctx.shadowColor = "white";
+        ctx.shadowBlur = 10;
 
         // Occasionally make a star shine brighter
-        if (Math.random() < 0.001) {
-          this.ctx.shadowBlur = 20;
-          this.ctx.fillStyle = "rgba(255, 255, 255, 1)";
+        if (this.renderRng.next() < 0.001) {
+          ctx.shadowBlur = 20;
+          ctx.fillStyle = "rgba(255, 255, 255, 1)";
         }
       } else {
-        this.ctx.shadowBlur = 0;
+        ctx.shadowBlur = 0;
       }
 
-      this.ctx.beginPath();
-      this.ctx.arc(star.x, star.y, star.size, 0, Math.PI * 2);
-      this.ctx.fill();
-    });
+      ctx.beginPath();
+      ctx.arc(star.x, star.y, star.size, 0, Math.PI * 2);
+      ctx.fill();
+    }
+
+    ctx.restore();
+  }
 
-    this.ctx.restore();
+  // Change the share of stars drawn, leaving every star where it is
+  setStarDensity(density) {
+    this.starDensity = density;
+  }
+
+  // Rebuild the background from the current run seed
+  reset() {
+    this.shakeTime = 0;
+    this.isShaking = false;
+    this.setupStars();
+    this.setupNebulaClouds();
   }
 
   // Update dimensions when canvas resizes
@@ -0,0 +1,95 @@
+// Headless loader for running the game simulation under Node
+//
+// The game scripts are plain browser scripts that share globals, so they are
+// evaluated in order inside one VM context, just like <script> tags on a page.
+//
+//   const { createSimulation } = require("./js/headless");
+//   const sim = createSimulation({ width: 800, height: 600, seed: 42 });
+//   sim.step({ up: true, shooting: true, aimX: 400, aimY: 0 });
+//   console.log(sim.getState().score);
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+// Scripts needed by the simulation, in page order
+const SIMULATION_SCRIPTS = [
+  "utils.js",
+  "input.js",
+  "particles.js",
+  "grid.js",
+  "collision.js",
+  "player.js",
+  "enemies.js",
+  "projectiles.js",
+  "simulation.js",
+  "replay.js",
+];
+
+// Globals made available to the caller after loading
+const EXPORTED_GLOBALS = [
+  "Simulation",
+  "RandomGenerator",
+  "ReplayPlayer",
+  "parseReplay",
+  "decodeInputFrame",
+  "DEFAULT_CONTROLS",
+];
+
+let loaded = null;
+
+// Evaluate the simulation scripts once and return their globals
+const load = () => {
+  if (loaded) return loaded;
+
+  const context = vm.createContext({ console });
+
+  SIMULATION_SCRIPTS.forEach((file) => {
+    const filename = path.join(__dirname, file);
+    vm.runInContext(fs.readFileSync(filename, "utf8"), context, { filename });
+  });
+
+  loaded = {};
+  EXPORTED_GLOBALS.forEach((name) => {
+    loaded[name] = vm.runInContext(name, context);
+  });
+
+  return loaded;
+};
+
+// Create a simulation that can be stepped tick by tick
+const createSimulation = (options) => {
+  const { Simulation } = load();
+  return new Simulation(options);
+};
+
+// Re-simulate a replay (object or file text) and return the finished simulation
+const runReplay = (replay) => {
+  const { ReplayPlayer, parseReplay, decodeInputFrame } = load();
+  const data = typeof replay === "string" ? parseReplay(replay) : replay;
+
+  const simulation = createSimulation({
+    width: data.width,
+    height: data.height,
+    seed: data.seed,
+    lives: data.lives,
+  });
+  const player = new ReplayPlayer(data);
+
+  while (!player.isFinished()) {
+    let resize;
+    while ((resize = player.nextResize())) {
+      simulation.resize(resize.width, resize.height);
+    }
+
+    simulation.step(decodeInputFrame(player.next()));
+  }
+
+  return simulation;
+};
+
+module.exports = {
+  load,
+  createSimulation,
+  runReplay,
+};
@@ -0,0 +1,243 @@
+// Keyboard, mouse, touch and gamepad input
+
+// Bit flags for the actions held during a tick
+const INPUT_BUTTONS = {
+  up: 1,
+  down: 2,
+  left: 4,
+  right: 8,
+  fire: 16,
+  secondary: 32,
+  dash: 64,
+  bomb: 128,
+};
+
+// Fields of an input frame, in the order replays store them
+const INPUT_FRAME_FIELDS = ["buttons", "x", "y", "moveX", "moveY"];
+
+// Steps per unit of analog thrust stored in a frame
+const INPUT_ANALOG_STEPS = 100;
+
+// Pack the live input state into a compact input frame
+// actions holds whether each action in INPUT_BUTTONS is held, aim is the
+// aim point and move the analog thrust from a stick, each axis in [-1, 1]
+const encodeInputFrame = (actions, aim, move = { x: 0, y: 0 }) => {
+  let buttons = 0;
+  Object.keys(INPUT_BUTTONS).forEach((action) => {
+    if (actions[action]) buttons |= INPUT_BUTTONS[action];
+  });
+
+  // Aim and thrust are stored as whole numbers so recorded and live runs
+  // match exactly
+  return {
+    buttons,
+    x: Math.round(aim.x),
+    y: Math.round(aim.y),
+    moveX: Math.round(clamp(move.x, -1, 1) * INPUT_ANALOG_STEPS),
+    moveY: Math.round(clamp(move.y, -1, 1) * INPUT_ANALOG_STEPS),
+  };
+};
+
+// Controls used when no input is held
+const DEFAULT_CONTROLS = {
+  up: false,
+  down: false,
+  left: false,
+  right: false,
+  shooting: false,
+  secondary: false,
+  dash: false,
+  bomb: false,
+  aimX: 0,
+  aimY: 0,
+  moveX: 0,
+  moveY: 0,
+};
+
+// Expand an input frame into the controls the player reads each tick
+const decodeInputFrame = (frame) => {
+  return {
+    up: (frame.buttons & INPUT_BUTTONS.up) !== 0,
+    down: (frame.buttons & INPUT_BUTTONS.down) !== 0,
+    left: (frame.buttons & INPUT_BUTTONS.left) !== 0,
+    right: (frame.buttons & INPUT_BUTTONS.right) !== 0,
+    shooting: (frame.buttons & INPUT_BUTTONS.fire) !== 0,
+    secondary: (frame.buttons & INPUT_BUTTONS.secondary) !== 0,
+    dash: (frame.buttons & INPUT_BUTTONS.dash) !== 0,
+    bomb: (frame.buttons & INPUT_BUTTONS.bomb) !== 0,
+    aimX: frame.x,
+    aimY: frame.y,
+    moveX: frame.moveX / INPUT_ANALOG_STEPS,
+    moveY: frame.moveY / INPUT_ANALOG_STEPS,
+  };
+};
+
+// Tracks the live state of the input devices and turns it into actions
+// through the player's bindings
+class InputController {
+  constructor(canvas, bindings, touchElement) {
+    this.canvas = null;
+    this.bindings = bindings;
+    this.joysticks = new TouchJoysticks(touchElement);
+
+    // Actions held on any device, refreshed every tick
+    this.actions = {};
+    Object.keys(INPUT_BUTTONS).forEach((action) => {
+      this.actions[action] = false;
+    });
+
+    // Aim point: the mouse, or where a stick points
+    this.mouse = { x: 0, y: 0 };
+
+    // Keyboard and mouse bindings held down, and gamepad buttons held at
+    // the last poll
+    this.held = new Set();
+    this.padHeld = new Set();
+
+    // Functions to call when an action's input is pressed, by action
+    this.actionListeners = {};
+
+    // Gamepad state, read once per tick
+    this.move = { x: 0, y: 0 }; // Left stick thrust
+    this.aimDistance = 200; // Aim point distance from the ship for aim sticks
+
+    // Setup event listeners
+    this.setupInput();
+    this.setCanvas(canvas);
+  }
+
+  // Track the mouse over a page canvas, which a renderer fallback can swap
+  setCanvas(canvas) {
+    this.canvas = canvas;
+
+    // Right clicks can be bound, so keep the browser menu off the playfield
+    canvas.addEventListener("contextmenu", (e) => e.preventDefault());
+  }
+
+  // Call a function whenever a key or mouse button bound to an action is
+  // pressed
+  onAction(action, listener) {
+    (this.actionListeners[action] = this.actionListeners[action] || []).push(
+      listener
+    );
+  }
+
+  // A keyboard or mouse input went down
+  press(binding) {
+    // Held keys repeat their keydown
+    if (this.held.has(binding)) return;
+    this.held.add(binding);
+
+    const listeners = this.actionListeners[this.bindings.findAction(binding)];
+    if (listeners) {
+      listeners.forEach((listener) => listener());
+    }
+  }
+
+  // A keyboard or mouse input went up
+  release(binding) {
+    this.held.delete(binding);
+  }
+
+  // Let go of everything held; releases that happen while the window is
+  // out of focus never arrive, which would leave the ship thrusting
+  releaseAll() {
+    this.held.clear();
+    this.joysticks.releaseAll();
+  }
+
+  // Check if any input bound to an action is held
+  isActionHeld(action) {
+    return this.bindings
+      .get(action)
+      .some(
+        (binding) =>
+          binding && (this.held.has(binding) || this.padHeld.has(binding))
+      );
+  }
+
+  // Set up event listeners for keyboard and mouse
+  setupInput() {
+    // Keyboard events
+    window.addEventListener("keydown", (e) => this.press(getKeyBinding(e)));
+    window.addEventListener("keyup", (e) => this.release(getKeyBinding(e)));
+
+    // Focus loss
+    window.addEventListener("blur", () => this.releaseAll());
+    document.addEventListener("visibilitychange", () => {
+      if (document.hidden) this.releaseAll();
+    });
+
+    // Mouse events
+    window.addEventListener("mousemove", (e) => {
+      // Get mouse position relative to canvas
+      const rect = this.canvas.getBoundingClientRect();
+      this.mouse.x = e.clientX - rect.left;
+      this.mouse.y = e.clientY - rect.top;
+    });
+
+    window.addEventListener("mousedown", (e) =>
+      this.press(`mouse:${e.button}`)
+    );
+    window.addEventListener("mouseup", (e) =>
+      this.release(`mouse:${e.button}`)
+    );
+  }
+
+  // Point the aim at aimDistance from the origin (the ship) in the
+  // direction of a stick; the aim point stays put while the stick is centred
+  aimAround(origin, direction) {
+    if (!origin || (direction.x === 0 && direction.y === 0)) return;
+
+    const angle = Math.atan2(direction.y, direction.x);
+    this.mouse.x = origin.x + Math.cos(angle) * this.aimDistance;
+    this.mouse.y = origin.y + Math.sin(angle) * this.aimDistance;
+  }
+
+  // Read the first gamepad: left stick thrust, right stick aim around the
+  // given point (the ship), and the buttons held for their bindings
+  pollGamepad(aimOrigin) {
+    const gamepad = getGamepad();
+    this.padHeld.clear();
+    if (!gamepad) {
+      this.move.x = 0;
+      this.move.y = 0;
+      return;
+    }
+
+    const move = readStick(gamepad, 0, 1);
+    this.move.x = move.x;
+    this.move.y = move.y;
+
+    this.aimAround(aimOrigin, readStick(gamepad, 2, 3));
+
+    gamepad.buttons.forEach((button, i) => {
+      if (isGamepadButtonPressed(gamepad, i)) {
+        this.padHeld.add(`pad:${i}`);
+      }
+    });
+  }
+
+  // Snapshot the live input as a frame for the next tick, polling the
+  // gamepad first; aimOrigin is where stick aiming is centred
+  getFrame(aimOrigin) {
+    this.pollGamepad(aimOrigin);
+
+    // The touch sticks take over from the gamepad while pushed
+    const touchMove = this.joysticks.getMove();
+    if (touchMove.x !== 0 || touchMove.y !== 0) {
+      this.move.x = touchMove.x;
+      this.move.y = touchMove.y;
+    }
+    this.aimAround(aimOrigin, this.joysticks.getAim());
+
+    Object.keys(this.actions).forEach((action) => {
+      this.actions[action] = this.isActionHeld(action);
+    });
+    if (this.joysticks.isFiring()) {
+      this.actions.fire = true;
+    }
+
+    return encodeInputFrame(this.actions, this.mouse, this.move);
+  }
+}
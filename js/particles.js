@@ -1,15 +1,68 @@
 // Particle system for explosions and visual effects
 
 class ParticleSystem {
-  constructor(canvas, ctx) {
-    this.canvas = canvas;
-    this.ctx = ctx;
-    this.particles = [];
-    this.trailParticles = [];
+  constructor(bounds, rng) {
+    this.bounds = bounds;
+
+    // Effects are cosmetic, so they draw from their own stream derived from
+    // the run seed. Quality settings can then change how many particles
+    // spawn without shifting the gameplay sequence
+    this.seedRng = rng;
+    this.rng = rng.derive("particles");
 
     // Set maximum number of particles to prevent performance issues
     this.maxParticles = 200;
     this.maxTrailParticles = 100;
+
+    // Share of trail particles actually spawned, lowered on slow devices
+    this.trailDensity = 1;
+
+    // Preallocated storage, so effects never allocate during play
+    this.particles = new ObjectPool(createParticle, this.maxParticles);
+    this.trailParticles = new ObjectRing(createTrail, this.maxTrailParticles);
+
+    // Delayed explosions, counted in ticks so seeded runs stay reproducible
+    this.pendingExplosions = [];
+  }
+
+  // Change the particle caps, keeping the live particles that still fit
+  setLimits(maxParticles, maxTrailParticles) {
+    this.maxParticles = maxParticles;
+    this.maxTrailParticles = maxTrailParticles;
+    this.particles.setCapacity(maxParticles);
+    this.trailParticles.setCapacity(maxTrailParticles);
+  }
+
+  // Roll whether an entity leaves a trail particle this tick
+  rollTrail(chance) {
+    return this.rng.next() < chance * this.trailDensity;
+  }
+
+  // Take a particle from the pool with every property set to its default
+  // Returns null when the pool is full
+  spawnParticle(x, y) {
+    const particle = this.particles.acquire();
+    if (!particle) return null;
+
+    particle.position.set(x, y);
+    particle.velocity.set(0, 0);
+    particle.size = 1;
+    particle.initialSize = 0;
+    particle.maxSize = 0;
+    particle.growthRate = 0;
+    particle.color = "#ffffff";
+    particle.alpha = 1;
+    particle.decay = 0.02;
+    particle.rotation = 0;
+    particle.rotationSpeed = 0;
+    particle.shape = "circle";
+    particle.text = "";
+    particle.isScore = false;
+    particle.isFlash = false;
+    particle.lifetime = 0;
+    particle.maxLifetime = 0;
+
+    return particle;
   }
 
   // Create an explosion of particles at the given position
@@ -22,23 +75,19 @@ class ParticleSystem {
     const adjustedCount = Math.min(count, availableSlots);
 
     for (let i = 0; i < adjustedCount; i++) {
-      const angle = random(0, Math.PI * 2);
-      const velocity = new Vector(
-        Math.cos(angle) * random(0.5, speed),
-        Math.sin(angle) * random(0.5, speed)
-      );
+      const angle = this.rng.range(0, Math.PI * 2);
+      const particle = this.spawnParticle(x, y);
 
-      this.particles.push({
-        position: new Vector(x, y),
-        velocity,
-        size: random(1, size),
-        color,
-        alpha: 1,
-        decay: decay * random(0.8, 1.2),
-        rotation: random(0, Math.PI * 2),
-        rotationSpeed: random(-0.1, 0.1),
-        shape: Math.random() > 0.7 ? "square" : "circle",
-      });
+      particle.velocity.set(
+        Math.cos(angle) * this.rng.range(0.5, speed),
+        Math.sin(angle) * this.rng.range(0.5, speed)
+      );
+      particle.size = this.rng.range(1, size);
+      particle.color = color;
+      particle.decay = decay * this.rng.range(0.8, 1.2);
+      particle.rotation = this.rng.range(0, Math.PI * 2);
+      particle.rotationSpeed = this.rng.range(-0.1, 0.1);
+      particle.shape = this.rng.next() > 0.7 ? "square" : "circle";
     }
   }
 
@@ -55,34 +104,24 @@ class ParticleSystem {
 
     // Create bright central flash
     const flashSize = 120;
-    this.particles.push({
-      position: new Vector(x, y),
-      velocity: new Vector(0, 0),
-      size: flashSize,
-      color: "#ffffff",
-      alpha: 1,
-      decay: 0.03,
-      rotation: 0,
-      rotationSpeed: 0,
-      shape: "circle",
-      isFlash: true,
-    });
+    const flash = this.spawnParticle(x, y);
+    if (flash) {
+      flash.size = flashSize;
+      flash.decay = 0.03;
+      flash.isFlash = true;
+    }
 
     // Create expanding shockwave ring
-    this.particles.push({
-      position: new Vector(x, y),
-      velocity: new Vector(0, 0),
-      initialSize: 10,
-      size: 10,
-      maxSize: 300,
-      growthRate: 5,
-      color: "#ffcc00",
-      alpha: 0.7,
-      decay: 0.02,
-      rotation: 0,
-      rotationSpeed: 0,
-      shape: "ring",
-    });
+    const ring = this.spawnParticle(x, y);
+    if (ring) {
+      ring.initialSize = 10;
+      ring.size = 10;
+      ring.maxSize = 300;
+      ring.growthRate = 5;
+      ring.color = "#ffcc00";
+      ring.alpha = 0.7;
+      ring.shape = "ring";
+    }
 
     // Create multiple layers of particles
     // Core explosion particles (fast and bright)
@@ -91,29 +130,22 @@ class ParticleSystem {
       (this.maxParticles - this.particles.length) / 3
     );
     for (let i = 0; i < coreCount; i++) {
-      const angle = random(0, Math.PI * 2);
-      const speed = random(3, 8);
-      const velocity = new Vector(
-        Math.cos(angle) * speed,
-        Math.sin(angle) * speed
-      );
+      const angle = this.rng.range(0, Math.PI * 2);
+      const speed = this.rng.range(3, 8);
 
       // Select color based on speed (faster = brighter)
-      const colorIndex = Math.floor(random(0, 2)); // Brighter colors for core
-
-      this.particles.push({
-        position: new Vector(x, y),
-        velocity,
-        size: random(5, 12),
-        color: colors[colorIndex],
-        alpha: random(0.8, 1),
-        decay: random(0.01, 0.02),
-        rotation: random(0, Math.PI * 2),
-        rotationSpeed: random(-0.2, 0.2),
-        shape: Math.random() > 0.5 ? "circle" : "square",
-        lifetime: 0,
-        maxLifetime: 60 + Math.random() * 60,
-      });
+      const colorIndex = Math.floor(this.rng.range(0, 2)); // Brighter colors for core
+
+      const particle = this.spawnParticle(x, y);
+      particle.velocity.set(Math.cos(angle) * speed, Math.sin(angle) * speed);
+      particle.size = this.rng.range(5, 12);
+      particle.color = colors[colorIndex];
+      particle.alpha = this.rng.range(0.8, 1);
+      particle.decay = this.rng.range(0.01, 0.02);
+      particle.rotation = this.rng.range(0, Math.PI * 2);
+      particle.rotationSpeed = this.rng.range(-0.2, 0.2);
+      particle.shape = this.rng.next() > 0.5 ? "circle" : "square";
+      particle.maxLifetime = 60 + this.rng.next() * 60;
     }
 
     // Medium explosion particles (medium speed and brightness)
@@ -122,82 +154,143 @@ class ParticleSystem {
       (this.maxParticles - this.particles.length) / 3
     );
     for (let i = 0; i < mediumCount; i++) {
-      const angle = random(0, Math.PI * 2);
-      const speed = random(1.5, 4);
-      const velocity = new Vector(
-        Math.cos(angle) * speed,
-        Math.sin(angle) * speed
-      );
+      const angle = this.rng.range(0, Math.PI * 2);
+      const speed = this.rng.range(1.5, 4);
 
       // Select color based on speed
-      const colorIndex = Math.floor(random(1, 4)); // Middle colors
-
-      this.particles.push({
-        position: new Vector(x, y),
-        velocity,
-        size: random(3, 8),
-        color: colors[colorIndex],
-        alpha: random(0.6, 0.9),
-        decay: random(0.008, 0.015),
-        rotation: random(0, Math.PI * 2),
-        rotationSpeed: random(-0.15, 0.15),
-        shape: Math.random() > 0.3 ? "circle" : "square",
-        lifetime: 0,
-        maxLifetime: 90 + Math.random() * 90,
-      });
+      const colorIndex = Math.floor(this.rng.range(1, 4)); // Middle colors
+
+      const particle = this.spawnParticle(x, y);
+      particle.velocity.set(Math.cos(angle) * speed, Math.sin(angle) * speed);
+      particle.size = this.rng.range(3, 8);
+      particle.color = colors[colorIndex];
+      particle.alpha = this.rng.range(0.6, 0.9);
+      particle.decay = this.rng.range(0.008, 0.015);
+      particle.rotation = this.rng.range(0, Math.PI * 2);
+      particle.rotationSpeed = this.rng.range(-0.15, 0.15);
+      particle.shape = this.rng.next() > 0.3 ? "circle" : "square";
+      particle.maxLifetime = 90 + this.rng.next() * 90;
     }
 
     // Outer explosion particles (slower and dimmer)
     const outerCount = Math.min(100, this.maxParticles - this.particles.length);
     for (let i = 0; i < outerCount; i++) {
-      const angle = random(0, Math.PI * 2);
-      const speed = random(0.5, 2);
-      const velocity = new Vector(
-        Math.cos(angle) * speed,
-        Math.sin(angle) * speed
-      );
+      const angle = this.rng.range(0, Math.PI * 2);
+      const speed = this.rng.range(0.5, 2);
 
       // Select color based on speed
-      const colorIndex = Math.floor(random(2, 5)); // Darker colors for outer
-
-      this.particles.push({
-        position: new Vector(x, y),
-        velocity,
-        size: random(1, 4),
-        color: colors[colorIndex],
-        alpha: random(0.3, 0.7),
-        decay: random(0.005, 0.01),
-        rotation: random(0, Math.PI * 2),
-        rotationSpeed: random(-0.1, 0.1),
-        shape: "circle",
-        lifetime: 0,
-        maxLifetime: 120 + Math.random() * 120,
-      });
+      const colorIndex = Math.floor(this.rng.range(2, 5)); // Darker colors for outer
+
+      const particle = this.spawnParticle(x, y);
+      particle.velocity.set(Math.cos(angle) * speed, Math.sin(angle) * speed);
+      particle.size = this.rng.range(1, 4);
+      particle.color = colors[colorIndex];
+      particle.alpha = this.rng.range(0.3, 0.7);
+      particle.decay = this.rng.range(0.005, 0.01);
+      particle.rotation = this.rng.range(0, Math.PI * 2);
+      particle.rotationSpeed = this.rng.range(-0.1, 0.1);
+      particle.shape = "circle";
+      particle.maxLifetime = 120 + this.rng.next() * 120;
     }
 
     // Create small secondary explosions
     for (let i = 0; i < 5; i++) {
-      setTimeout(() => {
-        const distance = random(20, 60);
-        const angle = random(0, Math.PI * 2);
-        const secondaryX = x + Math.cos(angle) * distance;
-        const secondaryY = y + Math.sin(angle) * distance;
-
-        // Create a smaller explosion at the secondary position
-        const secondaryCount = 20;
-        const secondarySize = random(3, 6);
-        const secondarySpeed = random(2, 4);
-        this.createExplosion(
-          secondaryX,
-          secondaryY,
-          secondaryCount,
-          colors[Math.floor(random(1, 3))], // Yellow or orange
-          secondarySpeed,
-          secondarySize,
-          0.02
-        );
-      }, random(100, 500)); // Delay the secondary explosion
+      const distance = this.rng.range(20, 60);
+      const angle = this.rng.range(0, Math.PI * 2);
+
+      // Delay the secondary explosion (100-500ms at 60fps)
+      this.pendingExplosions.push({
+        x: x + Math.cos(angle) * distance,
+        y: y + Math.sin(angle) * distance,
+        delay: this.rng.int(6, 30),
+        color: colors[Math.floor(this.rng.range(1, 3))], // Yellow or orange
+        speed: this.rng.range(2, 4),
+        size: this.rng.range(3, 6),
+      });
+    }
+  }
+
+  // Create a smaller blast in the style of createMassiveExplosion, its
+  // shockwave reaching out to the given radius
+  createBlast(x, y, radius) {
+    const colors = ["#ffffff", "#ffff00", "#ffa500", "#ff4500"];
+
+    const flash = this.spawnParticle(x, y);
+    if (flash) {
+      flash.size = radius * 0.6;
+      flash.decay = 0.06;
+      flash.isFlash = true;
+    }
+
+    const ring = this.spawnParticle(x, y);
+    if (ring) {
+      ring.initialSize = 5;
+      ring.size = 5;
+      ring.maxSize = radius;
+      ring.growthRate = 6;
+      ring.color = "#ffcc00";
+      ring.alpha = 0.7;
+      ring.shape = "ring";
+    }
+
+    const count = Math.min(40, this.maxParticles - this.particles.length);
+    for (let i = 0; i < count; i++) {
+      const angle = this.rng.range(0, Math.PI * 2);
+      const speed = this.rng.range(1, 6);
+
+      const particle = this.spawnParticle(x, y);
+      particle.velocity.set(Math.cos(angle) * speed, Math.sin(angle) * speed);
+      particle.size = this.rng.range(2, 7);
+      particle.color = colors[Math.floor(this.rng.range(0, colors.length))];
+      particle.alpha = this.rng.range(0.6, 1);
+      particle.decay = this.rng.range(0.015, 0.03);
+      particle.shape = "circle";
+    }
+
+    // A couple of late pops around the edge
+    for (let i = 0; i < 2; i++) {
+      const distance = this.rng.range(radius * 0.2, radius * 0.5);
+      const angle = this.rng.range(0, Math.PI * 2);
+
+      this.pendingExplosions.push({
+        x: x + Math.cos(angle) * distance,
+        y: y + Math.sin(angle) * distance,
+        delay: this.rng.int(4, 15),
+        color: colors[Math.floor(this.rng.range(1, 3))],
+        speed: this.rng.range(2, 4),
+        size: this.rng.range(2, 4),
+      });
+    }
+  }
+
+  // Create the smart bomb's shockwave: a flash and rings racing out far
+  // enough to sweep the whole screen
+  createShockwave(x, y, radius) {
+    const flash = this.spawnParticle(x, y);
+    if (flash) {
+      flash.size = 150;
+      flash.decay = 0.04;
+      flash.isFlash = true;
     }
+
+    const rings = [
+      { growthRate: 24, color: "#ffffff" },
+      { growthRate: 16, color: "#f4f" },
+      { growthRate: 10, color: "#0ff" },
+    ];
+    rings.forEach(({ growthRate, color }) => {
+      const ring = this.spawnParticle(x, y);
+      if (!ring) return;
+
+      ring.initialSize = 10;
+      ring.size = 10;
+      ring.maxSize = radius;
+      ring.growthRate = growthRate;
+      ring.color = color;
+      ring.alpha = 0.7;
+      ring.decay = 0;
+      ring.shape = "ring";
+    });
   }
 
   // Create debris particles (larger and more distinct than explosion particles)
@@ -210,86 +303,180 @@ class ParticleSystem {
     const adjustedCount = Math.min(count, availableSlots);
 
     for (let i = 0; i < adjustedCount; i++) {
-      const angle = random(0, Math.PI * 2);
-      const velocity = new Vector(
-        Math.cos(angle) * random(1, speed),
-        Math.sin(angle) * random(1, speed)
+      const angle = this.rng.range(0, Math.PI * 2);
+      const particle = this.spawnParticle(x, y);
+
+      particle.velocity.set(
+        Math.cos(angle) * this.rng.range(1, speed),
+        Math.sin(angle) * this.rng.range(1, speed)
       );
+      particle.size = this.rng.range(3, 6);
+      particle.color = color;
+      particle.decay = this.rng.range(0.01, 0.03);
+      particle.rotation = this.rng.range(0, Math.PI * 2);
+      particle.rotationSpeed = this.rng.range(-0.2, 0.2);
+      particle.shape = this.rng.next() > 0.5 ? "triangle" : "square";
+    }
+  }
 
-      this.particles.push({
-        position: new Vector(x, y),
-        velocity,
-        size: random(3, 6),
-        color,
-        alpha: 1,
-        decay: random(0.01, 0.03),
-        rotation: random(0, Math.PI * 2),
-        rotationSpeed: random(-0.2, 0.2),
-        shape: Math.random() > 0.5 ? "triangle" : "square",
-      });
+  // Create a shield impact: the bubble around the ship lights up and flares
+  // on the side the hit came from
+  createShieldImpact(x, y, angle, radius) {
+    const bubble = this.spawnParticle(x, y);
+    if (bubble) {
+      bubble.shape = "ring";
+      bubble.size = radius;
+      bubble.color = "#4af";
+      bubble.alpha = 0.4;
+      bubble.decay = 0.04;
+    }
+
+    const flare = this.spawnParticle(x, y);
+    if (flare) {
+      flare.shape = "arc";
+      flare.size = radius;
+      flare.rotation = angle;
+      flare.color = "#8df";
+      flare.decay = 0.06;
+    }
+
+    this.createExplosion(
+      x + Math.cos(angle) * radius,
+      y + Math.sin(angle) * radius,
+      5,
+      "#8df",
+      2,
+      2,
+      0.06
+    );
+  }
+
+  // Create sparks and bits of plating from a hit on the hull
+  createHullSparks(x, y, count) {
+    this.createExplosion(x, y, count, "#fa0", 4, 2, 0.05);
+    this.createDebris(x, y, Math.ceil(count / 4), "#888", 3);
+  }
+
+  // Create a puff of smoke drifting up from a damaged hull
+  createSmoke(x, y) {
+    const particle = this.spawnParticle(x, y);
+    if (!particle) return;
+
+    particle.velocity.set(
+      this.rng.range(-0.3, 0.3),
+      this.rng.range(-0.6, -0.2)
+    );
+    particle.size = this.rng.range(2, 4);
+    particle.color = "#666";
+    particle.alpha = 0.6;
+    particle.decay = 0.02;
+  }
+
+  // Create a burst of steam venting from overheated guns
+  createSteam(x, y, count) {
+    for (let i = 0; i < count; i++) {
+      const particle = this.spawnParticle(x, y);
+      if (!particle) return;
+
+      const angle = this.rng.range(0, Math.PI * 2);
+      const speed = this.rng.range(0.3, 1.2);
+      particle.velocity.set(
+        Math.cos(angle) * speed,
+        Math.sin(angle) * speed - 0.5
+      );
+      particle.size = this.rng.range(3, 6);
+      particle.color = "#dde";
+      particle.alpha = 0.5;
+      particle.decay = this.rng.range(0.015, 0.03);
     }
   }
 
   // Create score particles that float upward
   createScoreParticle(x, y, score, color) {
     // Only create if we have room
-    if (this.particles.length >= this.maxParticles) return;
-
-    this.particles.push({
-      position: new Vector(x, y),
-      velocity: new Vector(random(-0.5, 0.5), random(-2, -1)),
-      size: 10,
-      color,
-      alpha: 1,
-      decay: 0.02,
-      rotation: 0,
-      rotationSpeed: 0,
-      text: `+${score}`,
-      isScore: true,
-    });
+    const particle = this.spawnParticle(x, y);
+    if (!particle) return;
+
+    particle.velocity.set(this.rng.range(-0.5, 0.5), this.rng.range(-2, -1));
+    particle.size = 10;
+    particle.color = color;
+    particle.decay = 0.02;
+    particle.text = `+${score}`;
+    particle.isScore = true;
   }
 
   // Create text score display that floats upward (renamed version of createScoreParticle)
   createScoreText(x, y, text, color) {
+    this.createFloatingText(x, y, `+${text}`, color);
+  }
+
+  // Create a message that floats upward, like a score
+  createFloatingText(x, y, text, color) {
     // Only create if we have room
-    if (this.particles.length >= this.maxParticles) return;
-
-    this.particles.push({
-      position: new Vector(x, y),
-      velocity: new Vector(random(-0.5, 0.5), random(-2, -1)),
-      size: 12,
-      color,
-      alpha: 1,
-      decay: 0.02,
-      rotation: 0,
-      rotationSpeed: 0,
-      text: `+${text}`,
-      isScore: true,
-    });
+    const particle = this.spawnParticle(x, y);
+    if (!particle) return;
+
+    particle.velocity.set(this.rng.range(-0.5, 0.5), this.rng.range(-2, -1));
+    particle.size = 12;
+    particle.color = color;
+    particle.decay = 0.02;
+    particle.text = text;
+    particle.isScore = true;
+  }
+
+  // Create a damage number that floats upward from a hit
+  createDamageText(x, y, amount, color) {
+    // Only create if we have room
+    const particle = this.spawnParticle(x, y);
+    if (!particle) return;
+
+    particle.velocity.set(this.rng.range(-0.5, 0.5), this.rng.range(-2, -1));
+    particle.size = 11;
+    particle.color = color;
+    particle.decay = 0.03;
+    particle.text = `${amount}`;
+    particle.isScore = true;
   }
 
   // Add trail particle behind an entity
   addTrail(x, y, color, size) {
-    // Only add if we haven't reached the maximum
-    if (this.trailParticles.length >= this.maxTrailParticles) {
-      // Remove oldest trail particle to make room
-      this.trailParticles.shift();
-    }
-
-    this.trailParticles.push({
-      position: new Vector(x, y),
-      size,
-      color,
-      alpha: 0.5,
-      decay: 0.05,
-    });
+    // The oldest trail particle is recycled when the ring is full
+    const trail = this.trailParticles.acquire();
+
+    trail.position.set(x, y);
+    trail.size = size;
+    trail.color = color;
+    trail.alpha = 0.5;
+    trail.decay = 0.05;
   }
 
   // Update all particles
   update() {
+    // Trigger delayed secondary explosions
+    for (let i = this.pendingExplosions.length - 1; i >= 0; i--) {
+      const pending = this.pendingExplosions[i];
+      pending.delay--;
+
+      if (pending.delay <= 0) {
+        this.createExplosion(
+          pending.x,
+          pending.y,
+          20,
+          pending.color,
+          pending.speed,
+          pending.size,
+          0.02
+        );
+        this.pendingExplosions[i] =
+          this.pendingExplosions[this.pendingExplosions.length - 1];
+        this.pendingExplosions.pop();
+      }
+    }
+
     // Update regular particles
-    for (let i = this.particles.length - 1; i >= 0; i--) {
-      const particle = this.particles[i];
+    const particles = this.particles;
+    for (let i = particles.length - 1; i >= 0; i--) {
+      const particle = particles.items[i];
 
       // Apply velocity
       particle.position.add(particle.velocity);
@@ -298,9 +485,7 @@ class ParticleSystem {
       particle.velocity.multiply(0.98); // Air resistance
 
       // Update rotation
-      if (particle.rotation !== undefined) {
-        particle.rotation += particle.rotationSpeed;
-      }
+      particle.rotation += particle.rotationSpeed;
 
       // Update ring particles size
       if (particle.shape === "ring" && particle.growthRate) {
@@ -316,8 +501,8 @@ class ParticleSystem {
       }
 
       // Track lifetime for particles with maxLifetime
-      if (particle.maxLifetime !== undefined) {
-        particle.lifetime = (particle.lifetime || 0) + 1;
+      if (particle.maxLifetime > 0) {
+        particle.lifetime++;
         if (particle.lifetime >= particle.maxLifetime) {
           particle.alpha = 0; // Mark for removal
         }
@@ -328,124 +513,128 @@ class ParticleSystem {
 
       // Remove particles that have faded out
       if (particle.alpha <= 0) {
-        this.particles.splice(i, 1);
+        particles.release(i);
       }
     }
 
     // Update trail particles
-    for (let i = this.trailParticles.length - 1; i >= 0; i--) {
-      const trail = this.trailParticles[i];
+    const trails = this.trailParticles;
+    for (let i = 0; i < trails.length; i++) {
+      const trail = trails.get(i);
       trail.alpha -= trail.decay;
+    }
 
-      if (trail.alpha <= 0) {
-        this.trailParticles.splice(i, 1);
-      }
+    // Every trail fades at the same rate, so the faded ones are the oldest
+    while (trails.length > 0 && trails.get(0).alpha <= 0) {
+      trails.releaseOldest();
     }
   }
 
   // Render all particles
-  render() {
+  render(renderer) {
+    const ctx = renderer.ctx;
+
     // Render trail particles first (they go below regular particles)
     this.trailParticles.forEach((trail) => {
-      this.ctx.save();
-      this.ctx.globalAlpha = trail.alpha;
-      this.ctx.globalCompositeOperation = "lighter";
+      if (trail.alpha <= 0) return;
 
-      // Draw glow
-      const glow = createGlow(
-        this.ctx,
+      renderer.drawGlow(
         trail.position.x,
         trail.position.y,
         trail.size,
         trail.color,
-        trail.alpha
-      );
-
-      this.ctx.beginPath();
-      this.ctx.fillStyle = glow || trail.color;
-      this.ctx.arc(
-        trail.position.x,
-        trail.position.y,
-        trail.size,
-        0,
-        Math.PI * 2
+        trail.alpha,
+        1
       );
-      this.ctx.fill();
-
-      this.ctx.restore();
     });
 
     // Render regular particles
     this.particles.forEach((particle) => {
-      this.ctx.save();
-      this.ctx.globalAlpha = particle.alpha;
-      this.ctx.globalCompositeOperation = "lighter";
+      // Plain circles are glow sprites, which the renderer can batch
+      if (
+        particle.shape === "circle" &&
+        !particle.isScore &&
+        !particle.isFlash
+      ) {
+        renderer.drawGlow(
+          particle.position.x,
+          particle.position.y,
+          particle.size,
+          particle.color,
+          particle.alpha
+        );
+        return;
+      }
+
+      ctx.save();
+      ctx.globalAlpha = particle.alpha;
+      ctx.globalCompositeOperation = "lighter";
 
       // Position for drawing
-      this.ctx.translate(particle.position.x, particle.position.y);
+      ctx.translate(particle.position.x, particle.position.y);
 
-      if (particle.rotation !== undefined) {
-        this.ctx.rotate(particle.rotation);
-      }
+      ctx.rotate(particle.rotation);
 
       // Draw the particle based on its shape
       if (particle.isScore) {
         // Score text
-        this.ctx.fillStyle = particle.color;
-        this.ctx.font = `bold ${particle.size}px Arial`;
-        this.ctx.textAlign = "center";
-        this.ctx.textBaseline = "middle";
-        this.ctx.fillText(particle.text, 0, 0);
+        ctx.fillStyle = particle.color;
+        ctx.font = `bold ${particle.size}px Arial`;
+        ctx.textAlign = "center";
+        ctx.textBaseline = "middle";
+        ctx.fillText(particle.text, 0, 0);
 
         // Glow effect for text
-        this.ctx.shadowColor = particle.color;
-        this.ctx.shadowBlur = 10;
-        this.ctx.fillText(particle.text, 0, 0);
+        ctx.shadowColor = particle.color;
+        ctx.shadowBlur = 10;
+        ctx.fillText(particle.text, 0, 0);
       } else if (particle.isFlash) {
         // Central explosion flash
-        const gradient = this.ctx.createRadialGradient(
-          0,
-          0,
-          0,
-          0,
-          0,
-          particle.size
-        );
+        const gradient = ctx.createRadialGradient(0, 0, 0, 0, 0, particle.size);
         gradient.addColorStop(0, "rgba(255, 255, 255, 1)");
         gradient.addColorStop(0.3, "rgba(255, 255, 0, 0.8)");
         gradient.addColorStop(0.7, "rgba(255, 165, 0, 0.4)");
         gradient.addColorStop(1, "rgba(255, 69, 0, 0)");
 
-        this.ctx.fillStyle = gradient;
-        this.ctx.beginPath();
-        this.ctx.arc(0, 0, particle.size, 0, Math.PI * 2);
-        this.ctx.fill();
+        ctx.fillStyle = gradient;
+        ctx.beginPath();
+        ctx.arc(0, 0, particle.size, 0, Math.PI * 2);
+        ctx.fill();
 
         // Add extra glow
-        this.ctx.shadowColor = "#ffff00";
-        this.ctx.shadowBlur = 30;
-        this.ctx.beginPath();
-        this.ctx.arc(0, 0, particle.size * 0.7, 0, Math.PI * 2);
-        this.ctx.fill();
+        ctx.shadowColor = "#ffff00";
+        ctx.shadowBlur = 30;
+        ctx.beginPath();
+        ctx.arc(0, 0, particle.size * 0.7, 0, Math.PI * 2);
+        ctx.fill();
       } else if (particle.shape === "ring") {
         // Expanding shockwave ring
-        this.ctx.strokeStyle = particle.color;
-        this.ctx.lineWidth = Math.max(1, particle.size / 15);
-        this.ctx.beginPath();
-        this.ctx.arc(0, 0, particle.size, 0, Math.PI * 2);
-        this.ctx.stroke();
+        ctx.strokeStyle = particle.color;
+        ctx.lineWidth = Math.max(1, particle.size / 15);
+        ctx.beginPath();
+        ctx.arc(0, 0, particle.size, 0, Math.PI * 2);
+        ctx.stroke();
 
         // Add glow to the ring
-        this.ctx.shadowColor = particle.color;
-        this.ctx.shadowBlur = 15;
-        this.ctx.beginPath();
-        this.ctx.arc(0, 0, particle.size, 0, Math.PI * 2);
-        this.ctx.stroke();
+        ctx.shadowColor = particle.color;
+        ctx.shadowBlur = 15;
+        ctx.beginPath();
+        ctx.arc(0, 0, particle.size, 0, Math.PI * 2);
+        ctx.stroke();
+      } else if (particle.shape === "arc") {
+        // Stretch of a shield bubble facing a hit
+        ctx.strokeStyle = particle.color;
+        ctx.lineWidth = 3;
+        ctx.shadowColor = particle.color;
+        ctx.shadowBlur = 15;
+        ctx.beginPath();
+        ctx.arc(0, 0, particle.size, -0.8, 0.8);
+        ctx.stroke();
       } else if (particle.shape === "square") {
         // Square particle
         // Draw glow effect
         const glow = createGlow(
-          this.ctx,
+          ctx,
           0,
           0,
           particle.size * 1.5,
@@ -453,8 +642,8 @@ class ParticleSystem {
           particle.alpha
         );
 
-        this.ctx.fillStyle = glow || particle.color;
-        this.ctx.fillRect(
+        ctx.fillStyle = glow || particle.color;
+        ctx.fillRect(
           -particle.size,
           -particle.size,
           particle.size * 2,
@@ -464,26 +653,7 @@ class ParticleSystem {
         // Triangle particle
         // Draw glow effect
         const glow = createGlow(
-          this.ctx,
-          0,
-          0,
-          particle.size * 1.5,
-          particle.color,
-          particle.alpha
-        );
-
-        this.ctx.fillStyle = glow || particle.color;
-        this.ctx.beginPath();
-        this.ctx.moveTo(0, -particle.size * 1.5);
-        this.ctx.lineTo(-particle.size, particle.size);
-        this.ctx.lineTo(particle.size, particle.size);
-        this.ctx.closePath();
-        this.ctx.fill();
-      } else {
-        // Default: circle particle
-        // Draw glow effect
-        const glow = createGlow(
-          this.ctx,
+          ctx,
           0,
           0,
           particle.size * 1.5,
@@ -491,20 +661,33 @@ class ParticleSystem {
           particle.alpha
         );
 
-        this.ctx.fillStyle = glow || particle.color;
-        this.ctx.beginPath();
-        this.ctx.arc(0, 0, particle.size, 0, Math.PI * 2);
-        this.ctx.fill();
+        ctx.fillStyle = glow || particle.color;
+        ctx.beginPath();
+        ctx.moveTo(0, -particle.size * 1.5);
+        ctx.lineTo(-particle.size, particle.size);
+        ctx.lineTo(particle.size, particle.size);
+        ctx.closePath();
+        ctx.fill();
       }
 
-      this.ctx.restore();
+      ctx.restore();
     });
   }
 
   // Reset all particles
   reset() {
-    this.particles = [];
-    this.trailParticles = [];
+    this.rng = this.seedRng.derive("particles");
+    this.particles.clear();
+    this.trailParticles.clear();
+    this.pendingExplosions.length = 0;
+  }
+
+  // Get the pool pressure counters
+  getPoolStats() {
+    return {
+      particles: this.particles.getStats(),
+      trails: this.trailParticles.getStats(),
+    };
   }
 
   // Create a smaller, optimized hit effect for bosses
@@ -514,37 +697,57 @@ class ParticleSystem {
 
     // Fast implementation with minimal particles
     for (let i = 0; i < particleCount; i++) {
-      const angle = random(0, Math.PI * 2);
-      const velocity = new Vector(
-        Math.cos(angle) * random(0.5, 1.5),
-        Math.sin(angle) * random(0.5, 1.5)
-      );
+      const angle = this.rng.range(0, Math.PI * 2);
+      const velocityX = Math.cos(angle) * this.rng.range(0.5, 1.5);
+      const velocityY = Math.sin(angle) * this.rng.range(0.5, 1.5);
 
-      this.particles.push({
-        position: new Vector(x, y),
-        velocity,
-        size: random(1, 3),
-        color: "#ffffff",
-        alpha: 0.7,
-        decay: 0.1,
-        rotation: 0,
-        rotationSpeed: 0,
-        shape: "circle",
-      });
+      const particle = this.spawnParticle(x, y);
+      if (!particle) continue;
+
+      particle.velocity.set(velocityX, velocityY);
+      particle.size = this.rng.range(1, 3);
+      particle.alpha = 0.7;
+      particle.decay = 0.1;
     }
 
     // Add a single flash at hit location
-    this.particles.push({
-      position: new Vector(x, y),
-      velocity: new Vector(0, 0),
-      size: 8,
-      color: "#ffff00",
-      alpha: 0.5,
-      decay: 0.2,
-      rotation: 0,
-      rotationSpeed: 0,
-      shape: "circle",
-      isFlash: true,
-    });
+    const flash = this.spawnParticle(x, y);
+    if (flash) {
+      flash.size = 8;
+      flash.color = "#ffff00";
+      flash.alpha = 0.5;
+      flash.decay = 0.2;
+      flash.isFlash = true;
+    }
   }
 }
+
+// Create an empty particle for the pool
+const createParticle = () => ({
+  position: new Vector(),
+  velocity: new Vector(),
+  size: 0,
+  initialSize: 0,
+  maxSize: 0,
+  growthRate: 0,
+  color: "#ffffff",
+  alpha: 0,
+  decay: 0,
+  rotation: 0,
+  rotationSpeed: 0,
+  shape: "circle",
+  text: "",
+  isScore: false,
+  isFlash: false,
+  lifetime: 0,
+  maxLifetime: 0,
+});
+
+// Create an empty trail particle for the ring
+const createTrail = () => ({
+  position: new Vector(),
+  size: 0,
+  color: "#ffffff",
+  alpha: 0,
+  decay: 0,
+});
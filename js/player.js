@@ -1,13 +1,13 @@
 // Player class with movement, shooting and collision
 
 class Player {
-  constructor(canvas, ctx, particles) {
-    this.canvas = canvas;
-    this.ctx = ctx;
+  constructor(bounds, particles, rng) {
+    this.bounds = bounds;
     this.particles = particles;
+    this.rng = rng;
 
     // Player properties
-    this.position = new Vector(canvas.width / 2, canvas.height / 2);
+    this.position = new Vector(bounds.width / 2, bounds.height / 2);
     this.velocity = new Vector(0, 0);
     this.acceleration = new Vector(0, 0);
     this.rotation = 0;
@@ -18,158 +18,134 @@ class Player {
     this.alive = true;
     this.invulnerable = false;
     this.invulnerableTimer = 0;
+    this.godMode = false; // Developer cheat: nothing can kill the player
     this.blinkTimer = 0;
     this.visible = true;
 
+    // Dash: a short burst past maxSpeed that nothing can hit, then a wait
+    // before the next one
+    this.dashSpeed = 14;
+    this.dashDuration = 10; // Frames the dash lasts
+    this.dashCooldownTime = 90; // Frames from one dash to the next
+    this.dashTimer = 0; // Frames left of the current dash
+    this.dashCooldown = 0;
+    this.dashAngle = 0;
+    this.dashHeld = false; // Dash input last tick, so holding it dashes once
+
+    // Deflector shield soaks up hits first and recharges after a pause;
+    // the hull only wears down once the shield is gone
+    this.maxShield = 50;
+    this.shield = this.maxShield;
+    this.shieldRegenDelay = 120; // Frames after a hit before recharging
+    this.shieldRegenRate = 0.25; // Shield points per frame
+    this.shieldTimer = 0;
+    this.maxHull = 60;
+    this.hull = this.maxHull;
+    this.contactCooldown = 0; // Frames before ramming an enemy hurts again
+    this.contactCooldownFrames = 30;
+
+    // Lives
+    this.startingLives = 3; // Lives at the start of a run
+    this.maxLives = 9;
+    this.lives = this.startingLives;
+    this.respawnTimer = 0; // Frames until the player comes back after a hit
+    this.respawnDelay = 90; // 1.5 seconds at 60fps
+    this.respawnClearRadius = 150; // Enemy shots this close are removed on respawn
+
     // Shooting properties
     this.shootCooldown = 0;
-    this.shootDelay = 8; // Frames between shots
-    this.projectiles = [];
-    this.shootSound = null;
-
-    // Input tracking
-    this.keys = {
-      up: false,
-      down: false,
-      left: false,
-      right: false,
-    };
-
-    this.mouse = {
-      x: 0,
-      y: 0,
-      shooting: false,
-    };
-
-    // Setup event listeners
-    this.setupInput();
-  }
-
-  // Set up event listeners for keyboard and mouse
-  setupInput() {
-    // Keyboard events
-    window.addEventListener("keydown", (e) => {
-      switch (e.key) {
-        case "ArrowUp":
-        case "w":
-        case "W":
-          this.keys.up = true;
-          break;
-        case "ArrowDown":
-        case "s":
-        case "S":
-          this.keys.down = true;
-          break;
-        case "ArrowLeft":
-        case "a":
-        case "A":
-          this.keys.left = true;
-          break;
-        case "ArrowRight":
-        case "d":
-        case "D":
-          this.keys.right = true;
-          break;
-      }
-    });
-
-    window.addEventListener("keyup", (e) => {
-      switch (e.key) {
-        case "ArrowUp":
-        case "w":
-        case "W":
-          this.keys.up = false;
-          break;
-        case "ArrowDown":
-        case "s":
-        case "S":
-          this.keys.down = false;
-          break;
-        case "ArrowLeft":
-        case "a":
-        case "A":
-          this.keys.left = false;
-          break;
-        case "ArrowRight":
-        case "d":
-        case "D":
-          this.keys.right = false;
-          break;
-      }
-    });
-
-    // Mouse events
-    window.addEventListener("mousemove", (e) => {
-      // Get mouse position relative to canvas
-      const rect = this.canvas.getBoundingClientRect();
-      this.mouse.x = e.clientX - rect.left;
-      this.mouse.y = e.clientY - rect.top;
-    });
-
-    window.addEventListener("mousedown", (e) => {
-      if (e.button === 0) {
-        // Left mouse button
-        this.mouse.shooting = true;
-      }
-    });
-
-    window.addEventListener("mouseup", (e) => {
-      if (e.button === 0) {
-        // Left mouse button
-        this.mouse.shooting = false;
-      }
-    });
+    this.weapon = DEFAULT_WEAPON; // Key into WEAPONS
+    this.weaponTimer = 0; // Frames left on a collected weapon
+    this.fireHeld = 0; // Frames fire has been held, for the charge shot
+    this.heat = 0; // Up to MAX_HEAT
+    this.overheatTimer = 0; // Frames firing stays locked after overheating
+    this.beams = []; // Beams of a beam weapon, reused every frame
+    this.beamCount = 0; // Beams firing this frame
+
+    // Energy powers beam weapons; once drained it has to recharge part way
+    // before they fire again
+    this.maxEnergy = 100;
+    this.energy = this.maxEnergy;
+    this.energyRegenRate = 0.4; // Energy per frame while not firing
+    this.energyRestart = 30; // Energy needed to fire again once drained
+    this.energyDepleted = false;
+
+    // Secondary weapon: proton torpedoes from a limited magazine
+    this.torpedoAmmo = TORPEDO.startingAmmo;
+    this.torpedoCooldown = 0;
+    this.torpedoes = []; // In flight, steered by the enemy manager
+
+    // Smart bombs, set off by the enemy manager (see detonateBomb)
+    this.bombs = SMART_BOMB.startingBombs;
+    this.bombHeld = false; // Bomb input last tick, so holding it drops one
+    this.bombPending = false; // Dropped this tick, waiting to go off
+
+    this.projectiles = new ObjectPool(createProjectile, 64);
+    this.sounds = null; // SoundEffects set by the game; headless runs have none
+
+    // Controls used by the next update, filled each tick from the live
+    // input or from a replay
+    this.controls = { ...DEFAULT_CONTROLS };
+  }
 
-    // Touch events for mobile
-    window.addEventListener("touchstart", (e) => {
-      e.preventDefault();
-      this.mouse.shooting = true;
+  // Capture the fields that change during a run (see Simulation.saveState)
+  saveState() {
+    const { bounds, particles, rng, projectiles, sounds, ...state } = this;
 
-      if (e.touches.length > 0) {
-        const rect = this.canvas.getBoundingClientRect();
-        this.mouse.x = e.touches[0].clientX - rect.left;
-        this.mouse.y = e.touches[0].clientY - rect.top;
-      }
-    });
+    return { ...cloneData(state), projectiles: projectiles.saveState() };
+  }
 
-    window.addEventListener("touchmove", (e) => {
-      e.preventDefault();
+  // Go back to a state from saveState
+  loadState(state) {
+    const { projectiles, ...fields } = state;
 
-      if (e.touches.length > 0) {
-        const rect = this.canvas.getBoundingClientRect();
-        this.mouse.x = e.touches[0].clientX - rect.left;
-        this.mouse.y = e.touches[0].clientY - rect.top;
-      }
-    });
+    Object.assign(this, cloneData(fields));
+    this.projectiles.loadState(projectiles);
+  }
 
-    window.addEventListener("touchend", (e) => {
-      e.preventDefault();
-      this.mouse.shooting = false;
-    });
+  // Set the controls for the next update
+  applyInput(controls) {
+    this.controls = { ...DEFAULT_CONTROLS, ...controls };
   }
 
   // Update player state
   update(grid) {
-    if (!this.alive) return;
+    if (!this.alive) {
+      if (this.respawnTimer > 0) {
+        this.respawnTimer--;
+      }
+      return;
+    }
 
     // Movement control with keys
     this.acceleration.x = 0;
     this.acceleration.y = 0;
 
     // Calculate acceleration based on keys
-    if (this.keys.up) this.acceleration.y -= 0.5;
-    if (this.keys.down) this.acceleration.y += 0.5;
-    if (this.keys.left) this.acceleration.x -= 0.5;
-    if (this.keys.right) this.acceleration.x += 0.5;
+    if (this.controls.up) this.acceleration.y -= 0.5;
+    if (this.controls.down) this.acceleration.y += 0.5;
+    if (this.controls.left) this.acceleration.x -= 0.5;
+    if (this.controls.right) this.acceleration.x += 0.5;
 
-    // Apply acceleration
-    this.velocity.add(this.acceleration);
+    // Analog thrust from a gamepad stick
+    this.acceleration.x += this.controls.moveX * 0.5;
+    this.acceleration.y += this.controls.moveY * 0.5;
 
-    // Apply friction
-    this.velocity.multiply(this.friction);
+    this.updateDash();
 
-    // Limit speed
-    this.velocity.limit(this.maxSpeed);
+    if (this.dashTimer > 0) {
+      // A dash holds its speed, past maxSpeed, until it ends
+      this.dashTimer--;
+    } else {
+      // Apply acceleration
+      this.velocity.add(this.acceleration);
+
+      // Apply friction
+      this.velocity.multiply(this.friction);
+
+      // Limit speed
+      this.velocity.limit(this.maxSpeed);
+    }
 
     // Update position
     this.position.add(this.velocity);
@@ -179,27 +155,69 @@ class Player {
 
     // Calculate rotation based on mouse position
     this.rotation = Math.atan2(
-      this.mouse.y - this.position.y,
-      this.mouse.x - this.position.x
+      this.controls.aimY - this.position.y,
+      this.controls.aimX - this.position.x
     );
 
-    // Shooting
-    if (this.mouse.shooting && this.shootCooldown <= 0) {
-      this.shoot();
-      this.shootCooldown = this.shootDelay;
+    this.updateDefenses();
+
+    // Collected weapons run out
+    if (this.weaponTimer > 0) {
+      this.weaponTimer--;
+      if (this.weaponTimer <= 0) {
+        this.setWeapon(DEFAULT_WEAPON);
+      }
+    }
+
+    // Shooting: beam weapons fire for as long as fire is held, the others
+    // fire volleys until held long enough to charge
+    const weapon = this.getWeapon();
+    this.beamCount = 0;
+    if (weapon.beam) {
+      this.fireHeld = 0; // Beams never charge
+      this.fireBeams(weapon);
+    } else {
+      this.updateTrigger(weapon);
     }
+    this.updateHeat(weapon);
 
     if (this.shootCooldown > 0) {
       this.shootCooldown--;
     }
+    this.updateEnergy();
+
+    // Secondary fire
+    if (
+      this.controls.secondary &&
+      this.torpedoCooldown <= 0 &&
+      this.torpedoAmmo > 0
+    ) {
+      this.launchTorpedo();
+    }
+
+    if (this.torpedoCooldown > 0) {
+      this.torpedoCooldown--;
+    }
+
+    // Smart bomb, one per press
+    const bombPressed = this.controls.bomb && !this.bombHeld;
+    this.bombHeld = this.controls.bomb;
+    if (bombPressed && this.bombs > 0) {
+      this.bombs--;
+      this.bombPending = true;
+    }
 
     // Update projectiles
     for (let i = this.projectiles.length - 1; i >= 0; i--) {
-      const projectile = this.projectiles[i];
+      const projectile = this.projectiles.items[i];
       projectile.position.add(projectile.velocity);
 
+      if (projectile.bounces > 0) {
+        bounceOffEdges(projectile, this.bounds);
+      }
+
       // Add trail particles
-      if (Math.random() < 0.3) {
+      if (this.particles.rollTrail(0.3)) {
         this.particles.addTrail(
           projectile.position.x,
           projectile.position.y,
@@ -211,26 +229,38 @@ class Player {
       // Remove if off screen
       if (
         projectile.position.x < -20 ||
-        projectile.position.x > this.canvas.width + 20 ||
+        projectile.position.x > this.bounds.width + 20 ||
         projectile.position.y < -20 ||
-        projectile.position.y > this.canvas.height + 20
+        projectile.position.y > this.bounds.height + 20
       ) {
-        this.projectiles.splice(i, 1);
+        this.projectiles.release(i);
       }
     }
 
+    // Update torpedoes; the enemy manager steers them and sets them off
+    // (see resolveTorpedoes)
+    this.torpedoes.forEach((torpedo) => {
+      moveTorpedo(torpedo);
+
+      if (this.particles.rollTrail(0.5)) {
+        this.particles.addTrail(
+          torpedo.position.x,
+          torpedo.position.y,
+          TORPEDO.color,
+          2
+        );
+      }
+    });
+
     // Add trail particles behind player if moving
     if (this.velocity.getMagnitude() > 0.2) {
-      if (Math.random() < 0.3) {
+      if (this.particles.rollTrail(0.3)) {
         const speed = this.velocity.getMagnitude();
-        const offset = new Vector()
-          .copy(this.velocity)
-          .normalize()
-          .multiply(-this.size / 2);
+        const offset = -this.size / 2 / speed;
 
         this.particles.addTrail(
-          this.position.x + offset.x,
-          this.position.y + offset.y,
+          this.position.x + this.velocity.x * offset,
+          this.position.y + this.velocity.y * offset,
           this.color,
           2 + speed / 2
         );
@@ -259,260 +289,497 @@ class Player {
   }
 
   // Render the player and projectiles
-  render() {
+  render(renderer) {
     // Only render if alive and visible (for blinking)
     if (!this.alive || !this.visible) return;
 
+    const ctx = renderer.ctx;
+
+    // Render beams
+    for (let i = 0; i < this.beamCount; i++) {
+      renderBeam(renderer, this.beams[i]);
+    }
+
     // Render projectiles
     this.projectiles.forEach((projectile) => {
-      this.ctx.save();
-      this.ctx.translate(projectile.position.x, projectile.position.y);
-
-      // Draw glow
-      const glow = createGlow(
-        this.ctx,
-        0,
-        0,
-        projectile.size * 1.5,
+      renderer.drawGlow(
+        projectile.position.x,
+        projectile.position.y,
+        projectile.size,
         projectile.color,
         1
       );
+    });
 
-      this.ctx.beginPath();
-      this.ctx.fillStyle = glow || projectile.color;
-      this.ctx.arc(0, 0, projectile.size, 0, Math.PI * 2);
-      this.ctx.fill();
+    // Render torpedoes
+    this.torpedoes.forEach((torpedo) => renderTorpedo(renderer, torpedo));
+
+    // Charge building at the nose, pulsing once full
+    if (this.isCharging()) {
+      const charge = this.getCharge();
+      const pulse = charge >= 1 ? 1 + Math.sin(this.fireHeld * 0.4) * 0.2 : 1;
+      const nose = this.getNose();
+
+      renderer.drawGlow(
+        nose.x,
+        nose.y,
+        lerp(CHARGE_SHOT.minSize, CHARGE_SHOT.maxSize, charge) * pulse,
+        this.getWeapon().color,
+        0.4 + charge * 0.6
+      );
+    }
 
-      this.ctx.restore();
-    });
+    // Dash cooldown, a ring closing around the ship until the next dash
+    if (this.dashCooldown > 0) {
+      const ready = 1 - this.dashCooldown / this.dashCooldownTime;
+
+      ctx.save();
+      ctx.globalAlpha = 0.5;
+      ctx.strokeStyle = this.color;
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.arc(
+        this.position.x,
+        this.position.y,
+        this.size * 2.8,
+        -Math.PI / 2,
+        -Math.PI / 2 + ready * Math.PI * 2
+      );
+      ctx.stroke();
+      ctx.restore();
+    }
+
+    // Faint shield bubble, fading as the shield weakens
+    if (this.shield > 0) {
+      ctx.save();
+      ctx.globalAlpha = 0.2 * (this.shield / this.maxShield);
+      ctx.strokeStyle = "#4af";
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.arc(
+        this.position.x,
+        this.position.y,
+        this.getShieldRadius(),
+        0,
+        Math.PI * 2
+      );
+      ctx.stroke();
+      ctx.restore();
+    }
+
+    this.renderHeatGauge(ctx);
 
     // Render player
-    this.ctx.save();
-    this.ctx.translate(this.position.x, this.position.y);
-    this.ctx.rotate(this.rotation);
+    ctx.save();
+    ctx.translate(this.position.x, this.position.y);
+    ctx.rotate(this.rotation);
 
     // Draw X-Wing fighter shape
     const s = this.size;
 
     // Main fuselage/body
-    this.ctx.fillStyle = "#eaeaea";
-    this.ctx.beginPath();
-    this.ctx.moveTo(s * 2, 0); // Nose
-    this.ctx.lineTo(s * 0.8, s * 0.5); // Right side
-    this.ctx.lineTo(-s * 0.8, s * 0.5); // Back right
-    this.ctx.lineTo(-s * 1.2, 0); // Back center
-    this.ctx.lineTo(-s * 0.8, -s * 0.5); // Back left
-    this.ctx.lineTo(s * 0.8, -s * 0.5); // Left side
-    this.ctx.closePath();
-    this.ctx.fill();
+    ctx.fillStyle = "#eaeaea";
+    ctx.beginPath();
+    ctx.moveTo(s * 2, 0); // Nose
+    ctx.lineTo(s * 0.8, s * 0.5); // Right side
+    ctx.lineTo(-s * 0.8, s * 0.5); // Back right
+    ctx.lineTo(-s * 1.2, 0); // Back center
+    ctx.lineTo(-s * 0.8, -s * 0.5); // Back left
+    ctx.lineTo(s * 0.8, -s * 0.5); // Left side
+    ctx.closePath();
+    ctx.fill();
 
     // Cockpit
-    this.ctx.fillStyle = "#6ac5fe";
-    this.ctx.beginPath();
-    this.ctx.ellipse(s * 0.5, 0, s * 0.6, s * 0.25, 0, 0, Math.PI * 2);
-    this.ctx.fill();
+    ctx.fillStyle = "#6ac5fe";
+    ctx.beginPath();
+    ctx.ellipse(s * 0.5, 0, s * 0.6, s * 0.25, 0, 0, Math.PI * 2);
+    ctx.fill();
 
     // Engine glow
-    this.ctx.fillStyle = "#ff6a00";
-    this.ctx.beginPath();
-    this.ctx.arc(-s * 1, 0, s * 0.2, 0, Math.PI * 2);
-    this.ctx.fill();
+    ctx.fillStyle = "#ff6a00";
+    ctx.beginPath();
+    ctx.arc(-s * 1, 0, s * 0.2, 0, Math.PI * 2);
+    ctx.fill();
 
     // Red details
-    this.ctx.fillStyle = "#ff3333";
-    this.ctx.fillRect(s * 0.8, -s * 0.5, s * 0.4, s);
+    ctx.fillStyle = "#ff3333";
+    ctx.fillRect(s * 0.8, -s * 0.5, s * 0.4, s);
 
     // Wings
     const wingLength = s * 2;
     const wingWidth = s * 0.25;
 
     // Top-right wing
-    this.ctx.fillStyle = "#ccc";
-    this.ctx.beginPath();
-    this.ctx.moveTo(s * 0.3, -s * 0.25); // Wing base
-    this.ctx.lineTo(s * 0.8, -wingLength); // Wing tip
-    this.ctx.lineTo(s * 0.3, -wingLength); // Back of wing
-    this.ctx.lineTo(0, -s * 0.25); // Connection to body
-    this.ctx.closePath();
-    this.ctx.fill();
+    ctx.fillStyle = "#ccc";
+    ctx.beginPath();
+    ctx.moveTo(s * 0.3, -s * 0.25); // Wing base
+    ctx.lineTo(s * 0.8, -wingLength); // Wing tip
+    ctx.lineTo(s * 0.3, -wingLength); // Back of wing
+    ctx.lineTo(0, -s * 0.25); // Connection to body
+    ctx.closePath();
+    ctx.fill();
 
     // Top-left wing
-    this.ctx.beginPath();
-    this.ctx.moveTo(-s * 0.3, -s * 0.25);
-    this.ctx.lineTo(-s * 0.8, -wingLength);
-    this.ctx.lineTo(-s * 0.3, -wingLength);
-    this.ctx.lineTo(0, -s * 0.25);
-    this.ctx.closePath();
-    this.ctx.fill();
+    ctx.beginPath();
+    ctx.moveTo(-s * 0.3, -s * 0.25);
+    ctx.lineTo(-s * 0.8, -wingLength);
+    ctx.lineTo(-s * 0.3, -wingLength);
+    ctx.lineTo(0, -s * 0.25);
+    ctx.closePath();
+    ctx.fill();
 
     // Bottom-right wing
-    this.ctx.beginPath();
-    this.ctx.moveTo(s * 0.3, s * 0.25);
-    this.ctx.lineTo(s * 0.8, wingLength);
-    this.ctx.lineTo(s * 0.3, wingLength);
-    this.ctx.lineTo(0, s * 0.25);
-    this.ctx.closePath();
-    this.ctx.fill();
+    ctx.beginPath();
+    ctx.moveTo(s * 0.3, s * 0.25);
+    ctx.lineTo(s * 0.8, wingLength);
+    ctx.lineTo(s * 0.3, wingLength);
+    ctx.lineTo(0, s * 0.25);
+    ctx.closePath();
+    ctx.fill();
 
     // Bottom-left wing
-    this.ctx.beginPath();
-    this.ctx.moveTo(-s * 0.3, s * 0.25);
-    this.ctx.lineTo(-s * 0.8, wingLength);
-    this.ctx.lineTo(-s * 0.3, wingLength);
-    this.ctx.lineTo(0, s * 0.25);
-    this.ctx.closePath();
-    this.ctx.fill();
+    ctx.beginPath();
+    ctx.moveTo(-s * 0.3, s * 0.25);
+    ctx.lineTo(-s * 0.8, wingLength);
+    ctx.lineTo(-s * 0.3, wingLength);
+    ctx.lineTo(0, s * 0.25);
+    ctx.closePath();
+    ctx.fill();
 
     // Wing lasers
-    this.ctx.fillStyle = "#333";
+    ctx.fillStyle = "#333";
     // Top-right laser
-    this.ctx.fillRect(s * 0.7, -wingLength, s * 0.2, s * 0.5);
+    ctx.fillRect(s * 0.7, -wingLength, s * 0.2, s * 0.5);
     // Top-left laser
-    this.ctx.fillRect(-s * 0.9, -wingLength, s * 0.2, s * 0.5);
+    ctx.fillRect(-s * 0.9, -wingLength, s * 0.2, s * 0.5);
     // Bottom-right laser
-    this.ctx.fillRect(s * 0.7, wingLength - s * 0.5, s * 0.2, s * 0.5);
+    ctx.fillRect(s * 0.7, wingLength - s * 0.5, s * 0.2, s * 0.5);
     // Bottom-left laser
-    this.ctx.fillRect(-s * 0.9, wingLength - s * 0.5, s * 0.2, s * 0.5);
+    ctx.fillRect(-s * 0.9, wingLength - s * 0.5, s * 0.2, s * 0.5);
 
     // Laser tips
-    this.ctx.fillStyle = "#f00";
-    this.ctx.fillRect(s * 0.7, -wingLength - s * 0.15, s * 0.2, s * 0.15);
-    this.ctx.fillRect(-s * 0.9, -wingLength - s * 0.15, s * 0.2, s * 0.15);
-    this.ctx.fillRect(s * 0.7, wingLength, s * 0.2, s * 0.15);
-    this.ctx.fillRect(-s * 0.9, wingLength, s * 0.2, s * 0.15);
+    ctx.fillStyle = "#f00";
+    ctx.fillRect(s * 0.7, -wingLength - s * 0.15, s * 0.2, s * 0.15);
+    ctx.fillRect(-s * 0.9, -wingLength - s * 0.15, s * 0.2, s * 0.15);
+    ctx.fillRect(s * 0.7, wingLength, s * 0.2, s * 0.15);
+    ctx.fillRect(-s * 0.9, wingLength, s * 0.2, s * 0.15);
 
     // Glow effect
-    this.ctx.globalAlpha = 0.3;
-    this.ctx.shadowColor = this.color;
-    this.ctx.shadowBlur = 20;
-    this.ctx.beginPath();
-    this.ctx.arc(0, 0, s * 2.5, 0, Math.PI * 2);
-    this.ctx.fill();
+    ctx.globalAlpha = 0.3;
+    ctx.shadowColor = this.color;
+    ctx.shadowBlur = 20;
+    ctx.beginPath();
+    ctx.arc(0, 0, s * 2.5, 0, Math.PI * 2);
+    ctx.fill();
+
+    ctx.restore();
+  }
+
+  // Draw the gun heat as a small bar under the ship, turning from yellow to
+  // red as it rises and blinking while the guns are locked
+  renderHeatGauge(ctx) {
+    if (this.heat <= 0) return;
+    if (this.isOverheated() && Math.floor(this.overheatTimer / 8) % 2 === 0) {
+      return;
+    }
 
-    this.ctx.restore();
+    const width = this.size * 3;
+    const x = this.position.x - width / 2;
+    const y = this.position.y + this.size * 2.5;
+    const level = this.heat / MAX_HEAT;
+
+    ctx.save();
+    ctx.globalAlpha = 0.8;
+    ctx.fillStyle = "rgba(255, 255, 255, 0.2)";
+    ctx.fillRect(x, y, width, 3);
+    ctx.fillStyle = this.isOverheated()
+      ? "#f33"
+      : `hsl(${Math.round(60 * (1 - level))}, 100%, 50%)`;
+    ctx.fillRect(x, y, width * level, 3);
+    ctx.restore();
   }
 
-  // Shoot a projectile
-  shoot() {
-    const speed = 12;
-    const direction = this.rotation;
+  // Get the definition of the weapon being held
+  getWeapon() {
+    return WEAPONS[this.weapon];
+  }
 
-    const projectile = {
-      position: new Vector(this.position.x, this.position.y),
-      velocity: new Vector(
-        Math.cos(direction) * speed,
-        Math.sin(direction) * speed
-      ),
-      size: 3,
-      color: this.color,
-    };
+  // Switch weapons; collected weapons only last a while
+  setWeapon(name) {
+    this.weapon = name;
+    this.weaponTimer = name === DEFAULT_WEAPON ? 0 : WEAPON_DURATION;
+  }
 
-    this.projectiles.push(projectile);
+  // Start a dash when the dash input is pressed and the last one has cooled
+  // down, and leave afterimages behind the ship while dashing
+  updateDash() {
+    if (this.dashCooldown > 0) {
+      this.dashCooldown--;
+    }
 
-    // Add small recoil effect
-    this.velocity.add(
-      new Vector(
-        Math.cos(direction + Math.PI) * 0.2,
-        Math.sin(direction + Math.PI) * 0.2
-      )
-    );
+    const pressed = this.controls.dash && !this.dashHeld;
+    this.dashHeld = this.controls.dash;
+
+    if (pressed && this.dashCooldown <= 0) {
+      // Dash the way the ship is thrusting, or else the way it is drifting,
+      // or else the way it faces
+      const { x, y } = this.acceleration;
+      if (x !== 0 || y !== 0) {
+        this.dashAngle = Math.atan2(y, x);
+      } else if (this.velocity.getMagnitude() > 0.2) {
+        this.dashAngle = Math.atan2(this.velocity.y, this.velocity.x);
+      } else {
+        this.dashAngle = this.rotation;
+      }
 
-    // Play shoot sound if available
-    if (this.shootSound) {
-      this.shootSound.currentTime = 0;
-      this.shootSound.play().catch((e) => {
-        // Ignore autoplay errors
-      });
+      this.velocity.set(
+        Math.cos(this.dashAngle) * this.dashSpeed,
+        Math.sin(this.dashAngle) * this.dashSpeed
+      );
+      this.dashTimer = this.dashDuration;
+      this.dashCooldown = this.dashCooldownTime;
+    }
+
+    if (this.dashTimer > 0) {
+      // Two afterimages a frame, so fast dashes leave no gaps
+      for (let i = 0; i < 2; i++) {
+        this.particles.addTrail(
+          this.position.x + (this.velocity.x * i) / 2,
+          this.position.y + (this.velocity.y * i) / 2,
+          this.color,
+          this.size
+        );
+      }
     }
   }
 
-  // Handle wrapping around screen edges
-  wrapScreen() {
-    if (this.position.x < -this.size) {
-      this.position.x = this.canvas.width + this.size;
-    } else if (this.position.x > this.canvas.width + this.size) {
-      this.position.x = -this.size;
+  // Check if the ship is dashing, which nothing can hit
+  isDashing() {
+    return this.dashTimer > 0;
+  }
+
+  // Get the point at the ship's nose
+  getNose() {
+    return {
+      x: this.position.x + Math.cos(this.rotation) * this.size,
+      y: this.position.y + Math.sin(this.rotation) * this.size,
+    };
+  }
+
+  // Fire volleys while fire is held, until it has been held past the charge
+  // threshold; letting go of a charge fires the bolt
+  updateTrigger(weapon) {
+    // Overheated guns neither fire nor charge
+    if (this.overheatTimer > 0) {
+      this.fireHeld = 0;
+      return;
     }
 
-    if (this.position.y < -this.size) {
-      this.position.y = this.canvas.height + this.size;
-    } else if (this.position.y > this.canvas.height + this.size) {
-      this.position.y = -this.size;
+    if (this.controls.shooting) {
+      this.fireHeld++;
+      if (!this.isCharging() && this.shootCooldown <= 0) {
+        this.shoot();
+        this.shootCooldown = weapon.fireDelay;
+      }
+      return;
+    }
+
+    if (this.isCharging()) {
+      this.releaseCharge();
     }
+    this.fireHeld = 0;
   }
 
-  // Check collision with an enemy
-  checkCollision(enemy) {
-    if (!this.alive || this.invulnerable) return false;
+  // Check if fire has been held long enough to charge
+  isCharging() {
+    return this.fireHeld >= CHARGE_SHOT.threshold;
+  }
+
+  // Get how far the shot is charged, from 0 to 1
+  getCharge() {
+    return Math.min(
+      (this.fireHeld - CHARGE_SHOT.threshold) / CHARGE_SHOT.chargeTime,
+      1
+    );
+  }
+
+  // Fire the charged bolt, kicking the ship back harder the fuller it was
+  releaseCharge() {
+    const charge = this.getCharge();
+    const nose = this.getNose();
+    const color = this.getWeapon().color;
+
+    fireChargeShot(
+      this.projectiles,
+      nose.x,
+      nose.y,
+      this.rotation,
+      charge,
+      color
+    );
+    this.particles.createExplosion(nose.x, nose.y, 10, color, 2, 2, 0.05);
+
+    this.addHeat(CHARGE_SHOT.heat * charge);
+
+    const recoil = CHARGE_SHOT.recoil * charge;
+    this.velocity.x -= Math.cos(this.rotation) * recoil;
+    this.velocity.y -= Math.sin(this.rotation) * recoil;
+
+    this.playShootSound();
+  }
 
-    const collided = circleCollision(
+  // Fire a volley from the current weapon
+  shoot() {
+    const weapon = this.getWeapon();
+    const direction = this.rotation;
+
+    fireWeapon(
+      weapon,
+      this.projectiles,
       this.position.x,
       this.position.y,
-      this.size - 4, // slightly smaller hitbox than visual size
-      enemy.position.x,
-      enemy.position.y,
-      enemy.size
+      direction
     );
 
-    return collided;
+    this.addHeat(weapon.heat);
+
+    // Add recoil effect, stronger for heavier weapons
+    this.velocity.x += Math.cos(direction + Math.PI) * weapon.recoil;
+    this.velocity.y += Math.sin(direction + Math.PI) * weapon.recoil;
+
+    this.playShootSound();
+  }
+
+  // Heat the guns, overheating them at MAX_HEAT
+  addHeat(amount) {
+    this.heat = Math.min(this.heat + amount, MAX_HEAT);
+    if (this.heat < MAX_HEAT) return;
+
+    this.overheatTimer = this.getWeapon().overheatTime;
+    this.fireHeld = 0;
+
+    const nose = this.getNose();
+    this.particles.createSteam(nose.x, nose.y, 12);
+    this.particles.createHullSparks(nose.x, nose.y, 8);
   }
 
-  // Check if any projectile hits an enemy
-  checkProjectileCollision(enemy) {
-    // Optimization: Use throttling for boss hits to prevent performance issues
-    if (enemy.isBoss && enemy.lastHitTime) {
-      const now = performance.now();
-      // If we recently hit the boss (within 80ms), skip collision checks to prevent lag
-      if (now - enemy.lastHitTime < 80) {
-        return false;
+  // Cool the guns, venting steam while they are locked
+  updateHeat(weapon) {
+    this.heat = Math.max(this.heat - weapon.cooling, 0);
+
+    if (this.overheatTimer > 0) {
+      this.overheatTimer--;
+
+      if (this.particles.rollTrail(0.3)) {
+        const nose = this.getNose();
+        this.particles.createSteam(nose.x, nose.y, 1);
       }
     }
+  }
+
+  // Check if the guns are locked from overheating
+  isOverheated() {
+    return this.overheatTimer > 0;
+  }
+
+  // Play the shoot sound if available
+  playShootSound() {
+    if (this.sounds) {
+      this.sounds.play("shoot");
+    }
+  }
 
-    // Fast fail: Check if any projectiles are even in boss's general area first
-    if (enemy.isBoss) {
-      let anyInRange = false;
-      const extendedRange = enemy.size * 1.5; // Extended collision range check for quick filtering
+  // Launch a proton torpedo from the nose
+  launchTorpedo() {
+    const nose = this.getNose();
+    this.torpedoes.push(createTorpedo(nose.x, nose.y, this.rotation));
+    this.torpedoAmmo--;
+    this.torpedoCooldown = TORPEDO.fireDelay;
+  }
 
-      for (let i = 0; i < this.projectiles.length; i++) {
-        const p = this.projectiles[i];
-        const dx = p.position.x - enemy.position.x;
-        const dy = p.position.y - enemy.position.y;
-        const approxDistance = Math.abs(dx) + Math.abs(dy); // Manhattan distance (faster than Euclidean)
+  // Restock torpedoes, up to the magazine size
+  addTorpedoes(count) {
+    this.torpedoAmmo = Math.min(this.torpedoAmmo + count, TORPEDO.maxAmmo);
+  }
 
-        if (approxDistance < extendedRange) {
-          anyInRange = true;
-          break;
-        }
-      }
+  // Add a smart bomb, up to the limit
+  addBomb() {
+    this.bombs = Math.min(this.bombs + 1, SMART_BOMB.maxBombs);
+  }
+
+  // Fire a beam from each wing cannon while fire is held and energy lasts
+  // The enemy manager traces them and deals their damage (see resolveBeams)
+  fireBeams(weapon) {
+    if (!this.controls.shooting || this.energyDepleted) return;
 
-      if (!anyInRange) return false;
+    this.energy = Math.max(this.energy - weapon.energyCost, 0);
+    if (this.energy <= 0) {
+      this.energyDepleted = true;
     }
 
-    // Regular collision detection for normal enemies or boss projectiles in range
-    for (let i = this.projectiles.length - 1; i >= 0; i--) {
-      const projectile = this.projectiles[i];
+    // Damage lands every fireDelay frames, not every frame
+    const damage = this.shootCooldown <= 0 ? weapon.damage : 0;
+    if (damage > 0) {
+      this.shootCooldown = weapon.fireDelay;
+    }
 
-      const hit = circleCollision(
-        projectile.position.x,
-        projectile.position.y,
-        projectile.size,
-        enemy.position.x,
-        enemy.position.y,
-        enemy.size
-      );
+    const nose = this.getNose();
+    const first = -(weapon.shots - 1) / 2;
 
-      if (hit) {
-        this.projectiles.splice(i, 1);
-        return true;
+    for (let i = 0; i < weapon.shots; i++) {
+      if (!this.beams[i]) {
+        this.beams[i] = createBeam();
       }
+
+      const beam = this.beams[i];
+      aimBeam(
+        beam,
+        weapon,
+        nose.x,
+        nose.y,
+        this.rotation,
+        (first + i) * weapon.spacing
+      );
+      beam.damage = damage;
     }
+    this.beamCount = weapon.shots;
+  }
 
-    return false;
+  // Recharge energy while no beam is firing
+  updateEnergy() {
+    if (this.beamCount > 0) return;
+
+    this.energy = Math.min(this.energy + this.energyRegenRate, this.maxEnergy);
+    if (this.energyDepleted && this.energy >= this.energyRestart) {
+      this.energyDepleted = false;
+    }
+  }
+
+  // Handle wrapping around screen edges
+  wrapScreen() {
+    if (this.position.x < -this.size) {
+      this.position.x = this.bounds.width + this.size;
+    } else if (this.position.x > this.bounds.width + this.size) {
+      this.position.x = -this.size;
+    }
+
+    if (this.position.y < -this.size) {
+      this.position.y = this.bounds.height + this.size;
+    } else if (this.position.y > this.bounds.height + this.size) {
+      this.position.y = -this.size;
+    }
+  }
+
+  // Radius used for collisions with enemies
+  getHitRadius() {
+    return this.size - 4; // slightly smaller hitbox than visual size
   }
 
   // Handle player death
   die(grid) {
     this.alive = false;
+    this.lives--;
+    this.respawnTimer = this.respawnDelay;
 
     // Create massive explosion effect like in the reference image
     this.particles.createMassiveExplosion(this.position.x, this.position.y);
@@ -532,14 +799,139 @@ class Player {
     }
   }
 
-  // Reset player for a new game
-  reset() {
-    this.position = new Vector(this.canvas.width / 2, this.canvas.height / 2);
+  // Recharge the shield and trail smoke from a damaged hull
+  updateDefenses() {
+    if (this.contactCooldown > 0) {
+      this.contactCooldown--;
+    }
+
+    if (this.shieldTimer > 0) {
+      this.shieldTimer--;
+    } else if (this.shield < this.maxShield) {
+      this.shield = Math.min(
+        this.shield + this.shieldRegenRate,
+        this.maxShield
+      );
+    }
+
+    // The worse the hull, the more it smokes and sparks
+    const damage = 1 - this.hull / this.maxHull;
+    if (damage > 0 && this.particles.rollTrail(damage * 0.5)) {
+      this.particles.createSmoke(
+        this.position.x - Math.cos(this.rotation) * this.size,
+        this.position.y - Math.sin(this.rotation) * this.size
+      );
+    }
+    if (damage > 0.5 && this.particles.rollTrail(damage * 0.1)) {
+      this.particles.createHullSparks(this.position.x, this.position.y, 3);
+    }
+  }
+
+  // Take damage from a hit coming from the given point
+  // The shield soaks it up first and the rest wears down the hull
+  takeDamage(amount, fromX, fromY, grid) {
+    const angle = Math.atan2(fromY - this.position.y, fromX - this.position.x);
+    const absorbed = Math.min(this.shield, amount);
+    const hullDamage = amount - absorbed;
+
+    this.shield -= absorbed;
+    this.shieldTimer = this.shieldRegenDelay;
+
+    if (absorbed > 0) {
+      this.particles.createShieldImpact(
+        this.position.x,
+        this.position.y,
+        angle,
+        this.getShieldRadius()
+      );
+    }
+
+    if (hullDamage > 0) {
+      this.hull = Math.max(this.hull - hullDamage, 0);
+      this.particles.createHullSparks(
+        this.position.x + Math.cos(angle) * this.size,
+        this.position.y + Math.sin(angle) * this.size,
+        8
+      );
+      grid.addCameraShake(8, 0.4);
+
+      if (this.hull <= 0) {
+        this.die(grid);
+      }
+    }
+  }
+
+  // Push the ship away from a point after ramming into something
+  knockBack(fromX, fromY) {
+    const angle = Math.atan2(this.position.y - fromY, this.position.x - fromX);
+    this.velocity.x += Math.cos(angle) * 6;
+    this.velocity.y += Math.sin(angle) * 6;
+    this.contactCooldown = this.contactCooldownFrames;
+  }
+
+  // Radius of the shield bubble around the ship
+  getShieldRadius() {
+    return this.size * 2 + 6;
+  }
+
+  // Check if a lost life is over and the player can come back
+  canRespawn() {
+    return !this.alive && this.lives > 0 && this.respawnTimer <= 0;
+  }
+
+  // Bring the player back in the middle of the screen, blinking and
+  // invulnerable for a moment
+  respawn() {
+    this.position = new Vector(this.bounds.width / 2, this.bounds.height / 2);
     this.velocity = new Vector(0, 0);
     this.acceleration = new Vector(0, 0);
+    this.rotation = 0;
     this.alive = true;
-    this.projectiles = [];
+    this.shootCooldown = 0;
+    this.fireHeld = 0;
+    this.dashTimer = 0;
+    this.dashCooldown = 0;
+    this.heat = 0;
+    this.overheatTimer = 0;
+    this.setWeapon(DEFAULT_WEAPON); // Collected weapons are lost with the ship
+    this.beamCount = 0;
+    this.energy = this.maxEnergy;
+    this.energyDepleted = false;
+    this.respawnTimer = 0;
+    this.shield = this.maxShield;
+    this.shieldTimer = 0;
+    this.hull = this.maxHull;
+    this.contactCooldown = 0;
     this.invulnerable = true;
     this.invulnerableTimer = 120; // 2 seconds at 60fps
+    this.blinkTimer = 0;
+    this.visible = true;
+  }
+
+  // Award an extra life, up to the limit
+  addLife() {
+    if (this.lives >= this.maxLives) return;
+
+    this.lives++;
+    this.particles.createFloatingText(
+      this.position.x,
+      this.position.y - 30,
+      "1UP",
+      "#0f0"
+    );
+  }
+
+  // Reset player for a new game
+  reset() {
+    this.respawn();
+    this.lives = this.startingLives;
+    this.projectiles.clear();
+    this.torpedoAmmo = TORPEDO.startingAmmo;
+    this.torpedoCooldown = 0;
+    this.torpedoes = [];
+    this.bombs = SMART_BOMB.startingBombs;
+    this.bombPending = false;
+    this.controls = { ...DEFAULT_CONTROLS };
+    this.godMode = false;
   }
 }
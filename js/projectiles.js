@@ -1,9 +1,428 @@
-// Projectiles are handled directly by the Player class
-// This file is kept for structure consistency, but could be used
-// for more complex projectile types in the future
-
-// Different projectile types could be implemented here:
-// - Spread shot
-// - Laser beam
-// - Homing missiles
-// - Bouncing projectiles
+// Player weapons and the pickups that hand them out
+
+// Every weapon the player can hold
+// Each volley heats the guns, which cool off over time; reaching MAX_HEAT
+// locks firing for the weapon's overheat time. Heat is tuned so firing
+// volleys nonstop overheats after about five seconds
+// A volley fires `shots` projectiles, fanned `spread` radians apart and set
+// `spacing` pixels apart across the firing direction; bouncing shots reflect
+// off the screen edges that many times before leaving
+// Beam weapons instead cast one ray per shot for as long as fire is held,
+// draining energy, and deal their damage every `fireDelay` frames
+const WEAPONS = {
+  blaster: {
+    name: "Blaster",
+    icon: "B",
+    fireDelay: 8, // Frames between volleys
+    speed: 12,
+    damage: 10,
+    size: 3,
+    color: "#0ff",
+    shots: 1,
+    spread: 0,
+    spacing: 0,
+    bounces: 0,
+    recoil: 0.2,
+    heat: 7, // Heat added per volley
+    cooling: 0.6, // Heat lost per frame
+    overheatTime: 90, // Frames firing is locked after overheating
+  },
+  spread: {
+    name: "Spread Shot",
+    icon: "S",
+    fireDelay: 12,
+    speed: 10,
+    damage: 7,
+    size: 3,
+    color: "#ff0",
+    shots: 5,
+    spread: 0.15,
+    spacing: 0,
+    bounces: 0,
+    recoil: 0.3,
+    heat: 11,
+    cooling: 0.6,
+    overheatTime: 90,
+  },
+  rapid: {
+    name: "Twin Rapid",
+    icon: "R",
+    fireDelay: 4,
+    speed: 14,
+    damage: 6,
+    size: 2,
+    color: "#f0f",
+    shots: 2,
+    spread: 0,
+    spacing: 10,
+    bounces: 0,
+    recoil: 0.1,
+    heat: 4,
+    cooling: 0.6,
+    overheatTime: 90,
+  },
+  bouncer: {
+    name: "Bouncer",
+    icon: "O",
+    fireDelay: 10,
+    speed: 9,
+    damage: 12,
+    size: 4,
+    color: "#0f0",
+    shots: 1,
+    spread: 0,
+    spacing: 0,
+    bounces: 3,
+    recoil: 0.2,
+    heat: 9,
+    cooling: 0.6,
+    overheatTime: 90,
+  },
+  cannon: {
+    name: "Heavy Cannon",
+    icon: "H",
+    fireDelay: 22,
+    speed: 8,
+    damage: 35,
+    size: 6,
+    color: "#f80",
+    shots: 1,
+    spread: 0,
+    spacing: 0,
+    bounces: 0,
+    recoil: 0.8,
+    heat: 20,
+    cooling: 0.6,
+    overheatTime: 120,
+  },
+  laser: {
+    name: "Laser",
+    icon: "L",
+    beam: true,
+    fireDelay: 4,
+    damage: 5,
+    color: "#f33",
+    width: 3,
+    shots: 2, // One beam per wing cannon
+    spacing: 48, // Span of the wing cannons
+    range: 1200,
+    convergence: 250, // Distance ahead where the beams cross
+    pierce: true, // Hit every enemy along the ray, not only the first
+    energyCost: 0.5, // Energy drained per frame of fire
+    heat: 0, // Runs on energy instead
+    cooling: 0.6,
+    overheatTime: 90,
+  },
+};
+
+// Charge shot: holding fire past the threshold stops the volleys and builds
+// up one piercing bolt, fired when fire is let go; the bolt grows and hits
+// harder the longer it charged
+const CHARGE_SHOT = {
+  threshold: 20, // Frames fire is held before charging starts
+  chargeTime: 90, // Frames from the threshold to a full charge
+  speed: 10,
+  minSize: 5,
+  maxSize: 14,
+  minDamage: 20,
+  maxDamage: 120,
+  recoil: 1.5, // At full charge
+  heat: 35, // At full charge
+};
+
+// Proton torpedoes, the secondary weapon: a few homing shots that lock on to
+// the nearest enemy and blow up everything around what they hit
+const TORPEDO = {
+  name: "Proton Torpedoes",
+  icon: "T",
+  color: "#fa0",
+  fireDelay: 30, // Frames between launches
+  speed: 3, // Launch speed
+  maxSpeed: 8,
+  thrust: 0.2, // Speed gained per frame
+  turnRate: 0.06, // Most it can turn per frame, in radians
+  size: 5,
+  lifetime: 180, // Frames before it goes off on its own
+  damage: 40, // At the centre of the blast, halving towards its edge
+  blastRadius: 100,
+  startingAmmo: 3,
+  maxAmmo: 6,
+  pickupAmmo: 2, // Torpedoes restocked by a pickup
+};
+
+// Smart bomb: a panic button that wipes out every enemy and enemy shot on
+// screen, except the boss, which only takes heavy damage
+const SMART_BOMB = {
+  name: "Smart Bomb",
+  icon: "★",
+  color: "#f4f",
+  bossDamage: 60,
+  startingBombs: 2,
+  maxBombs: 5,
+  scoreInterval: 25000, // Points between bombs earned
+};
+
+// Heat at which the guns overheat
+const MAX_HEAT = 100;
+
+// Weapon the player starts with and falls back to
+const DEFAULT_WEAPON = "blaster";
+
+// Weapons that can drop as pickups
+const PICKUP_WEAPONS = ["spread", "rapid", "bouncer", "cannon", "laser"];
+
+// Chance a destroyed enemy drops a pickup (bosses always do)
+const PICKUP_DROP_CHANCE = 0.08;
+
+// Pickups that restock torpedoes or bombs instead of changing weapons, and
+// the chance an enemy that dropped nothing else leaves one
+const TORPEDO_PICKUP = "torpedo";
+const TORPEDO_DROP_CHANCE = 0.05;
+const BOMB_PICKUP = "bomb";
+const BOMB_DROP_CHANCE = 0.02;
+
+// What the restocking pickups hand out
+const SUPPLY_PICKUPS = {
+  [TORPEDO_PICKUP]: TORPEDO,
+  [BOMB_PICKUP]: SMART_BOMB,
+};
+
+const PICKUP_LIFETIME = 600; // Frames before an uncollected pickup vanishes
+const PICKUP_SIZE = 10;
+const WEAPON_DURATION = 900; // Frames a collected weapon lasts
+
+// Fire one volley of a weapon from a point in the given direction
+const fireWeapon = (weapon, projectiles, x, y, direction) => {
+  const first = -(weapon.shots - 1) / 2;
+
+  for (let i = 0; i < weapon.shots; i++) {
+    const projectile = projectiles.acquire();
+    if (!projectile) return;
+
+    // Place each shot across the firing direction and fan it out
+    const slot = first + i;
+    const angle = direction + slot * weapon.spread;
+    const offset = slot * weapon.spacing;
+
+    projectile.position.set(
+      x - Math.sin(direction) * offset,
+      y + Math.cos(direction) * offset
+    );
+    projectile.velocity.set(
+      Math.cos(angle) * weapon.speed,
+      Math.sin(angle) * weapon.speed
+    );
+    projectile.size = weapon.size;
+    projectile.damage = weapon.damage;
+    projectile.color = weapon.color;
+    projectile.bounces = weapon.bounces;
+    projectile.pierce = false;
+  }
+};
+
+// Fire a charged bolt from a point in the given direction
+// charge runs from 0 (just past the threshold) to 1 (fully charged)
+const fireChargeShot = (projectiles, x, y, direction, charge, color) => {
+  const projectile = projectiles.acquire();
+  if (!projectile) return;
+
+  projectile.position.set(x, y);
+  projectile.velocity.set(
+    Math.cos(direction) * CHARGE_SHOT.speed,
+    Math.sin(direction) * CHARGE_SHOT.speed
+  );
+  projectile.size = lerp(CHARGE_SHOT.minSize, CHARGE_SHOT.maxSize, charge);
+  projectile.damage = Math.round(
+    lerp(CHARGE_SHOT.minDamage, CHARGE_SHOT.maxDamage, charge)
+  );
+  projectile.color = color;
+  projectile.bounces = 0;
+  projectile.pierce = true;
+  projectile.hits.length = 0;
+};
+
+// Reflect a bouncing projectile off the screen edges it has crossed
+const bounceOffEdges = (projectile, bounds) => {
+  const { position, velocity } = projectile;
+  let bounced = false;
+
+  if (position.x < 0 || position.x > bounds.width) {
+    position.x = clamp(position.x, 0, bounds.width);
+    velocity.x = -velocity.x;
+    bounced = true;
+  }
+  if (position.y < 0 || position.y > bounds.height) {
+    position.y = clamp(position.y, 0, bounds.height);
+    velocity.y = -velocity.y;
+    bounced = true;
+  }
+
+  if (bounced) {
+    projectile.bounces--;
+  }
+};
+
+// Create a beam, aimed again on every frame it fires
+const createBeam = () => ({
+  x: 0,
+  y: 0,
+  angle: 0,
+  range: 0, // Furthest the beam reaches
+  length: 0, // How far it reaches this frame, shorter when blocked
+  damage: 0, // Dealt to what it hits this frame
+  pierce: true,
+  width: 0,
+  color: "#ffffff",
+});
+
+// Aim a beam from a cannon set sideways from a point (the ship's nose) so
+// it crosses the other cannons' beams at the weapon's convergence distance
+const aimBeam = (beam, weapon, x, y, direction, offset) => {
+  const crossX = x + Math.cos(direction) * weapon.convergence;
+  const crossY = y + Math.sin(direction) * weapon.convergence;
+
+  beam.x = x - Math.sin(direction) * offset;
+  beam.y = y + Math.cos(direction) * offset;
+  beam.angle = Math.atan2(crossY - beam.y, crossX - beam.x);
+  beam.range = weapon.range;
+  beam.length = weapon.range;
+  beam.pierce = weapon.pierce;
+  beam.width = weapon.width;
+  beam.color = weapon.color;
+};
+
+// Draw a beam as a soft coloured glow around a white-hot core, bright
+// enough for the bloom pass to pick up, with a flare where it is blocked
+const renderBeam = (renderer, beam) => {
+  const ctx = renderer.ctx;
+  const endX = beam.x + Math.cos(beam.angle) * beam.length;
+  const endY = beam.y + Math.sin(beam.angle) * beam.length;
+
+  ctx.save();
+  ctx.globalCompositeOperation = "lighter";
+  ctx.lineCap = "round";
+  ctx.beginPath();
+  ctx.moveTo(beam.x, beam.y);
+  ctx.lineTo(endX, endY);
+
+  ctx.strokeStyle = beam.color;
+  ctx.globalAlpha = 0.3;
+  ctx.lineWidth = beam.width * 4;
+  ctx.stroke();
+
+  ctx.globalAlpha = 1;
+  ctx.lineWidth = beam.width;
+  ctx.stroke();
+
+  ctx.strokeStyle = "#fff";
+  ctx.lineWidth = beam.width / 2;
+  ctx.stroke();
+  ctx.restore();
+
+  renderer.drawGlow(beam.x, beam.y, beam.width * 2, beam.color, 0.8);
+  if (beam.length < beam.range) {
+    renderer.drawGlow(endX, endY, beam.width * 3, beam.color, 1);
+  }
+};
+
+// Create a torpedo leaving a point in the given direction
+const createTorpedo = (x, y, angle) => ({
+  position: new Vector(x, y),
+  angle,
+  speed: TORPEDO.speed,
+  timer: TORPEDO.lifetime,
+  targetId: null, // Id of the enemy it is locked on to
+});
+
+// Speed a torpedo up along its heading and burn its fuel
+const moveTorpedo = (torpedo) => {
+  torpedo.speed = Math.min(torpedo.speed + TORPEDO.thrust, TORPEDO.maxSpeed);
+  torpedo.position.x += Math.cos(torpedo.angle) * torpedo.speed;
+  torpedo.position.y += Math.sin(torpedo.angle) * torpedo.speed;
+  torpedo.timer--;
+};
+
+// Turn a torpedo towards a point, no faster than its turn rate
+const steerTorpedo = (torpedo, x, y) => {
+  const wanted = Math.atan2(y - torpedo.position.y, x - torpedo.position.x);
+
+  // Shortest way round, between -PI and PI
+  const turn = Math.atan2(
+    Math.sin(wanted - torpedo.angle),
+    Math.cos(wanted - torpedo.angle)
+  );
+  torpedo.angle += clamp(turn, -TORPEDO.turnRate, TORPEDO.turnRate);
+};
+
+// Draw a torpedo as a short glowing dart
+const renderTorpedo = (renderer, torpedo) => {
+  const ctx = renderer.ctx;
+  const s = TORPEDO.size;
+
+  renderer.drawGlow(
+    torpedo.position.x,
+    torpedo.position.y,
+    s,
+    TORPEDO.color,
+    0.8
+  );
+
+  ctx.save();
+  ctx.translate(torpedo.position.x, torpedo.position.y);
+  ctx.rotate(torpedo.angle);
+  ctx.fillStyle = "#fff";
+  ctx.beginPath();
+  ctx.moveTo(s * 1.5, 0);
+  ctx.lineTo(-s, s * 0.6);
+  ctx.lineTo(-s, -s * 0.6);
+  ctx.closePath();
+  ctx.fill();
+  ctx.restore();
+};
+
+// Get what a pickup hands out: a weapon, torpedoes or a bomb
+const getPickupItem = (name) => SUPPLY_PICKUPS[name] || WEAPONS[name];
+
+// Create a weapon pickup at a point
+const createPickup = (x, y, weapon) => ({
+  position: new Vector(x, y),
+  weapon,
+  size: PICKUP_SIZE,
+  timer: PICKUP_LIFETIME,
+});
+
+// Draw a pickup as a spinning diamond marked with its item's icon,
+// blinking for its last two seconds
+const renderPickup = (renderer, pickup) => {
+  if (pickup.timer < 120 && Math.floor(pickup.timer / 6) % 2 === 0) return;
+
+  const ctx = renderer.ctx;
+  const weapon = getPickupItem(pickup.weapon);
+  const s = pickup.size;
+
+  renderer.drawGlow(pickup.position.x, pickup.position.y, s, weapon.color, 0.5);
+
+  ctx.save();
+  ctx.translate(pickup.position.x, pickup.position.y);
+
+  ctx.save();
+  ctx.rotate(pickup.timer * 0.05);
+  ctx.strokeStyle = weapon.color;
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  ctx.moveTo(0, -s);
+  ctx.lineTo(s, 0);
+  ctx.lineTo(0, s);
+  ctx.lineTo(-s, 0);
+  ctx.closePath();
+  ctx.stroke();
+  ctx.restore();
+
+  ctx.fillStyle = weapon.color;
+  ctx.font = "bold 10px Arial";
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  ctx.fillText(weapon.icon, 0, 0);
+
+  ctx.restore();
+};
@@ -0,0 +1,694 @@
+// Drawing backends shared by every entity
+//
+// Entities draw vector shapes through renderer.ctx, a Canvas 2D context, and
+// soft round glows through renderer.drawGlow(). Both backends queue the glows
+// and draw them over the frame's vector shapes, so the two look the same.
+// CanvasRenderer draws straight onto the page canvas. WebGLRenderer draws the
+// vector shapes onto an offscreen layer, batches every glow into one
+// instanced draw call and composites both with a shader bloom.
+
+// Draws everything with Canvas 2D calls on the page canvas
+class CanvasRenderer {
+  constructor(canvas, bloomQuality) {
+    this.type = "canvas";
+    this.canvas = canvas;
+    this.ctx = canvas.getContext("2d");
+    this.bloom = new BloomEffect(bloomQuality);
+    this.fallbackReason = null; // Why WebGL isn't used, for the debug overlay
+
+    // Glows queued this frame, records reused from frame to frame
+    this.glows = [];
+    this.glowCount = 0;
+  }
+
+  // Change the size of the drawing surface
+  resize(width, height) {
+    this.canvas.width = width;
+    this.canvas.height = height;
+    this.bloom.resize(width, height);
+  }
+
+  // Start a new frame
+  begin() {
+    this.glowCount = 0;
+  }
+
+  // Queue a soft round glow, additively blended
+  // glowScale sets how far the gradient reaches relative to the radius
+  drawGlow(x, y, radius, color, alpha, glowScale = 1.5) {
+    if (this.glowCount === this.glows.length) {
+      this.glows.push({});
+    }
+
+    const glow = this.glows[this.glowCount++];
+    glow.x = x;
+    glow.y = y;
+    glow.radius = radius;
+    glow.color = color;
+    glow.alpha = alpha;
+    glow.glowScale = glowScale;
+  }
+
+  // Draw every queued glow
+  drawGlows() {
+    const ctx = this.ctx;
+    ctx.save();
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.globalCompositeOperation = "lighter";
+
+    for (let i = 0; i < this.glowCount; i++) {
+      const { x, y, radius, color, alpha, glowScale } = this.glows[i];
+      const glow = createGlow(ctx, x, y, radius * glowScale, color, alpha);
+
+      ctx.globalAlpha = alpha;
+      ctx.beginPath();
+      ctx.fillStyle = glow || color;
+      ctx.arc(x, y, radius, 0, Math.PI * 2);
+      ctx.fill();
+    }
+
+    ctx.restore();
+  }
+
+  // Finish the frame with the glows and post-processing
+  end() {
+    this.drawGlows();
+    this.bloom.apply(this.ctx, this.canvas);
+  }
+
+  // Switch the bloom quality tier ("off", "low" or "high")
+  setBloomQuality(quality) {
+    this.bloom.setQuality(quality);
+  }
+
+  // Set how bright a pixel must be to glow
+  setBloomThreshold(threshold) {
+    this.bloom.setThreshold(threshold);
+  }
+
+  // Set how strongly the glow is added back onto the scene
+  setBloomIntensity(intensity) {
+    this.bloom.setIntensity(intensity);
+  }
+}
+
+// Floats per glow instance: x, y, radius, glow scale, r, g, b, alpha
+const GLOW_INSTANCE_FLOATS = 8;
+
+// Most blur taps on each side supported by the blur shader
+const MAX_BLUR_TAPS = 4;
+
+// Full-screen quad, used by every post-processing pass
+const QUAD_VERTEX_SHADER = `
+attribute vec2 a_position;
+varying vec2 v_uv;
+
+void main() {
+  v_uv = a_position * 0.5 + 0.5;
+  gl_Position = vec4(a_position, 0.0, 1.0);
+}
+`;
+
+// Copy a texture, scaled by an alpha
+const COPY_FRAGMENT_SHADER = `
+precision mediump float;
+uniform sampler2D u_texture;
+uniform float u_alpha;
+varying vec2 v_uv;
+
+void main() {
+  gl_FragColor = texture2D(u_texture, v_uv) * u_alpha;
+}
+`;
+
+// Keep only the part of each channel above the threshold
+const THRESHOLD_FRAGMENT_SHADER = `
+precision mediump float;
+uniform sampler2D u_texture;
+uniform float u_threshold;
+varying vec2 v_uv;
+
+void main() {
+  vec3 color = texture2D(u_texture, v_uv).rgb;
+  color = clamp((color - u_threshold) / (1.0 - u_threshold), 0.0, 1.0);
+  gl_FragColor = vec4(color, 1.0);
+}
+`;
+
+// One direction of a separable gaussian blur
+const BLUR_FRAGMENT_SHADER = `
+precision mediump float;
+uniform sampler2D u_texture;
+uniform vec2 u_step;
+uniform float u_weights[${MAX_BLUR_TAPS + 1}];
+varying vec2 v_uv;
+
+void main() {
+  vec4 sum = texture2D(u_texture, v_uv) * u_weights[0];
+  for (int i = 1; i <= ${MAX_BLUR_TAPS}; i++) {
+    vec2 offset = u_step * float(i);
+    sum += texture2D(u_texture, v_uv + offset) * u_weights[i];
+    sum += texture2D(u_texture, v_uv - offset) * u_weights[i];
+  }
+  gl_FragColor = sum;
+}
+`;
+
+// Glow sprites: one quad per instance, sized and placed in pixels
+const GLOW_VERTEX_SHADER = `
+attribute vec2 a_position;
+attribute vec4 a_shape;
+attribute vec4 a_color;
+uniform vec2 u_resolution;
+varying vec2 v_offset;
+varying vec4 v_color;
+varying float v_glowScale;
+
+void main() {
+  v_offset = a_position;
+  v_color = a_color;
+  v_glowScale = a_shape.w;
+
+  vec2 pixel = a_shape.xy + a_position * a_shape.z;
+  vec2 clip = pixel / u_resolution * 2.0 - 1.0;
+  gl_Position = vec4(clip.x, -clip.y, 0.0, 1.0);
+}
+`;
+
+// Same falloff as createGlow(): linear from the center out to twice the
+// glow radius, cut off at the disc radius. A glow scale of 0 draws a solid
+// disc, which is what the canvas path does for colors createGlow can't parse
+const GLOW_FRAGMENT_SHADER = `
+precision mediump float;
+varying vec2 v_offset;
+varying vec4 v_color;
+varying float v_glowScale;
+
+void main() {
+  float dist = length(v_offset);
+  if (dist > 1.0) discard;
+
+  float alpha = v_color.a;
+  float strength = alpha;
+  if (v_glowScale > 0.0) {
+    strength = alpha * alpha * max(0.0, 1.0 - dist / (2.0 * v_glowScale));
+  }
+
+  gl_FragColor = vec4(v_color.rgb * strength, strength);
+}
+`;
+
+// Attribute locations, bound before linking so every program agrees
+const ATTRIBUTES = { a_position: 0, a_shape: 1, a_color: 2 };
+
+// Compile and link a shader program, throwing on failure
+const createProgram = (gl, vertexSource, fragmentSource) => {
+  const compile = (type, source) => {
+    const shader = gl.createShader(type);
+    gl.shaderSource(shader, source);
+    gl.compileShader(shader);
+    if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+      throw new Error(
+        `Shader failed to compile: ${gl.getShaderInfoLog(shader)}`
+      );
+    }
+    return shader;
+  };
+
+  const program = gl.createProgram();
+  gl.attachShader(program, compile(gl.VERTEX_SHADER, vertexSource));
+  gl.attachShader(program, compile(gl.FRAGMENT_SHADER, fragmentSource));
+  Object.keys(ATTRIBUTES).forEach((name) => {
+    gl.bindAttribLocation(program, ATTRIBUTES[name], name);
+  });
+  gl.linkProgram(program);
+
+  if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+    throw new Error(`Shader failed to link: ${gl.getProgramInfoLog(program)}`);
+  }
+
+  // Look up every uniform once
+  const uniforms = {};
+  const count = gl.getProgramParameter(program, gl.ACTIVE_UNIFORMS);
+  for (let i = 0; i < count; i++) {
+    const name = gl.getActiveUniform(program, i).name.replace("[0]", "");
+    uniforms[name] = gl.getUniformLocation(program, name);
+  }
+
+  return { program, uniforms };
+};
+
+// Get instanced drawing from WebGL 2, or from the WebGL 1 extension
+const getInstancing = (gl) => {
+  if (typeof gl.drawArraysInstanced === "function") {
+    return {
+      divisor: (index, divisor) => gl.vertexAttribDivisor(index, divisor),
+      draw: (mode, first, count, instances) =>
+        gl.drawArraysInstanced(mode, first, count, instances),
+    };
+  }
+
+  const extension = gl.getExtension("ANGLE_instanced_arrays");
+  if (!extension) return null;
+
+  return {
+    divisor: (index, divisor) =>
+      extension.vertexAttribDivisorANGLE(index, divisor),
+    draw: (mode, first, count, instances) =>
+      extension.drawArraysInstancedANGLE(mode, first, count, instances),
+  };
+};
+
+// Convert a glow color into 0-1 channels, plus whether it fades out
+const parseGlowColor = (color) => {
+  const rgb = hexToRgb(color);
+  if (rgb) {
+    return { r: rgb.r / 255, g: rgb.g / 255, b: rgb.b / 255, soft: true };
+  }
+
+  // Shorthand colors like "#0ff" are drawn solid, as in the canvas path
+  const short = /^#?([a-f\d])([a-f\d])([a-f\d])$/i.exec(color);
+  if (short) {
+    return {
+      r: parseInt(short[1], 16) / 15,
+      g: parseInt(short[2], 16) / 15,
+      b: parseInt(short[3], 16) / 15,
+      soft: false,
+    };
+  }
+
+  return { r: 1, g: 1, b: 1, soft: false };
+};
+
+// Draws glows and post-processing with WebGL, vector shapes via a 2D layer
+class WebGLRenderer {
+  // Check for WebGL with instancing on a throwaway canvas, so the page canvas
+  // is left free for Canvas 2D when it isn't available
+  static isSupported() {
+    const gl =
+      document.createElement("canvas").getContext("webgl2") ||
+      document.createElement("canvas").getContext("webgl");
+    if (!gl) return false;
+
+    const supported = Boolean(getInstancing(gl));
+
+    // Browsers cap how many contexts can be open, so free the probe's now
+    // rather than whenever it's garbage collected
+    const loseContext = gl.getExtension("WEBGL_lose_context");
+    if (loseContext) {
+      loseContext.loseContext();
+    }
+    return supported;
+  }
+
+  constructor(canvas, bloomQuality) {
+    const options = { alpha: false, antialias: false };
+    const gl =
+      canvas.getContext("webgl2", options) ||
+      canvas.getContext("webgl", options);
+    if (!gl) {
+      throw new Error("WebGL is not available");
+    }
+
+    this.instancing = getInstancing(gl);
+    if (!this.instancing) {
+      throw new Error("WebGL instancing is not available");
+    }
+
+    this.type = "webgl";
+    this.canvas = canvas;
+    this.gl = gl;
+
+    // The GPU can take the context away (driver reset, too many contexts)
+    this.contextLostListeners = [];
+    canvas.addEventListener("webglcontextlost", () => {
+      this.contextLostListeners.forEach((listener) => listener());
+    });
+
+    // Offscreen layer for everything drawn with Canvas 2D calls, uploaded
+    // into a texture allocated at the layer's size
+    this.layer = document.createElement("canvas");
+    this.ctx = this.layer.getContext("2d");
+    this.layerTexture = this.createTexture();
+    this.layerTarget = { texture: this.layerTexture, width: 0, height: 0 };
+    gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, true);
+    gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, true);
+
+    // Shader programs
+    this.copyProgram = createProgram(
+      gl,
+      QUAD_VERTEX_SHADER,
+      COPY_FRAGMENT_SHADER
+    );
+    this.thresholdProgram = createProgram(
+      gl,
+      QUAD_VERTEX_SHADER,
+      THRESHOLD_FRAGMENT_SHADER
+    );
+    this.blurProgram = createProgram(
+      gl,
+      QUAD_VERTEX_SHADER,
+      BLUR_FRAGMENT_SHADER
+    );
+    this.glowProgram = createProgram(
+      gl,
+      GLOW_VERTEX_SHADER,
+      GLOW_FRAGMENT_SHADER
+    );
+
+    // Quad corners, drawn as a triangle strip
+    this.quadBuffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.quadBuffer);
+    gl.bufferData(
+      gl.ARRAY_BUFFER,
+      new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]),
+      gl.STATIC_DRAW
+    );
+
+    // Glow instances for the current frame, grown when a frame needs more
+    this.glowBuffer = gl.createBuffer();
+    this.glowData = new Float32Array(1024 * GLOW_INSTANCE_FLOATS);
+    this.glowCount = 0;
+    this.glowColors = new Map(); // Parsed colors by color string
+
+    // Render targets: the composed scene and two bloom buffers
+    this.scene = this.createTarget();
+    this.bloomTargets = [this.createTarget(), this.createTarget()];
+
+    // Bloom settings
+    this.width = canvas.width;
+    this.height = canvas.height;
+    this.setBloomThreshold(0.5);
+    this.setBloomIntensity(0.8);
+    this.setBloomQuality(bloomQuality);
+  }
+
+  // Create a texture that can be sampled with linear filtering
+  createTexture() {
+    const gl = this.gl;
+    const texture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    return texture;
+  }
+
+  // Create a texture with a framebuffer for drawing into it
+  createTarget() {
+    const gl = this.gl;
+    const target = {
+      texture: this.createTexture(),
+      framebuffer: gl.createFramebuffer(),
+      width: 0,
+      height: 0,
+    };
+
+    gl.bindFramebuffer(gl.FRAMEBUFFER, target.framebuffer);
+    gl.framebufferTexture2D(
+      gl.FRAMEBUFFER,
+      gl.COLOR_ATTACHMENT0,
+      gl.TEXTURE_2D,
+      target.texture,
+      0
+    );
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+    return target;
+  }
+
+  // Reallocate a render target at a new size
+  resizeTarget(target, width, height) {
+    if (target.width === width && target.height === height) return;
+
+    const gl = this.gl;
+    target.width = width;
+    target.height = height;
+    gl.bindTexture(gl.TEXTURE_2D, target.texture);
+    gl.texImage2D(
+      gl.TEXTURE_2D,
+      0,
+      gl.RGBA,
+      width,
+      height,
+      0,
+      gl.RGBA,
+      gl.UNSIGNED_BYTE,
+      null
+    );
+  }
+
+  // Change the size of the drawing surface
+  resize(width, height) {
+    this.width = width;
+    this.height = height;
+    this.canvas.width = width;
+    this.canvas.height = height;
+    this.layer.width = width;
+    this.layer.height = height;
+
+    this.resizeTarget(this.layerTarget, width, height);
+    this.resizeTarget(this.scene, width, height);
+
+    const scale = this.bloomSettings ? this.bloomSettings.scale : 0;
+    const bloomWidth = Math.max(1, Math.ceil(width * scale));
+    const bloomHeight = Math.max(1, Math.ceil(height * scale));
+    this.bloomTargets.forEach((target) => {
+      this.resizeTarget(target, bloomWidth, bloomHeight);
+    });
+  }
+
+  // Start a new frame
+  begin() {
+    this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+    this.ctx.clearRect(0, 0, this.layer.width, this.layer.height);
+    this.glowCount = 0;
+  }
+
+  // Queue a soft round glow, additively blended
+  // glowScale sets how far the gradient reaches relative to the radius
+  drawGlow(x, y, radius, color, alpha, glowScale = 1.5) {
+    let parsed = this.glowColors.get(color);
+    if (!parsed) {
+      parsed = parseGlowColor(color);
+      this.glowColors.set(color, parsed);
+    }
+
+    // Grow the instance data when a frame has more glows than ever before
+    if ((this.glowCount + 1) * GLOW_INSTANCE_FLOATS > this.glowData.length) {
+      const data = new Float32Array(this.glowData.length * 2);
+      data.set(this.glowData);
+      this.glowData = data;
+    }
+
+    const data = this.glowData;
+    let i = this.glowCount * GLOW_INSTANCE_FLOATS;
+    data[i++] = x;
+    data[i++] = y;
+    data[i++] = radius;
+    data[i++] = parsed.soft ? glowScale : 0;
+    data[i++] = parsed.r;
+    data[i++] = parsed.g;
+    data[i++] = parsed.b;
+    data[i++] = alpha;
+
+    this.glowCount++;
+  }
+
+  // Composite the vector layer, glows and bloom onto the page canvas
+  end() {
+    const gl = this.gl;
+    const bloomOn = this.bloomSettings && this.bloomIntensity > 0;
+
+    // Upload the vector layer into the texture allocated in resize()
+    gl.bindTexture(gl.TEXTURE_2D, this.layerTexture);
+    gl.texSubImage2D(
+      gl.TEXTURE_2D,
+      0,
+      0,
+      0,
+      gl.RGBA,
+      gl.UNSIGNED_BYTE,
+      this.layer
+    );
+
+    // Without bloom the scene is drawn straight to the page canvas
+    this.bindTarget(bloomOn ? this.scene : null);
+    gl.disable(gl.BLEND);
+    this.drawQuad(this.copyProgram, this.layerTexture, { u_alpha: 1 });
+
+    gl.enable(gl.BLEND);
+    gl.blendFunc(gl.ONE, gl.ONE);
+    this.drawGlows();
+
+    if (!bloomOn) return;
+
+    // Threshold and downsample, then blur horizontally and vertically
+    const [bloom, blurred] = this.bloomTargets;
+    const spread = this.bloomSettings.spread;
+    gl.disable(gl.BLEND);
+
+    this.bindTarget(bloom);
+    this.drawQuad(this.thresholdProgram, this.scene.texture, {
+      u_threshold: this.bloomThreshold,
+    });
+
+    this.bindTarget(blurred);
+    this.drawQuad(this.blurProgram, bloom.texture, {
+      u_step: [spread / bloom.width, 0],
+      u_weights: this.bloomWeights,
+    });
+
+    this.bindTarget(bloom);
+    this.drawQuad(this.blurProgram, blurred.texture, {
+      u_step: [0, spread / bloom.height],
+      u_weights: this.bloomWeights,
+    });
+
+    // Present the scene with the glow added on top
+    this.bindTarget(null);
+    this.drawQuad(this.copyProgram, this.scene.texture, { u_alpha: 1 });
+
+    gl.enable(gl.BLEND);
+    gl.blendFunc(gl.ONE, gl.ONE);
+    this.drawQuad(this.copyProgram, bloom.texture, {
+      u_alpha: this.bloomIntensity,
+    });
+  }
+
+  // Draw into a render target, or the page canvas when given null
+  bindTarget(target) {
+    const gl = this.gl;
+    if (target) {
+      gl.bindFramebuffer(gl.FRAMEBUFFER, target.framebuffer);
+      gl.viewport(0, 0, target.width, target.height);
+    } else {
+      gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+      gl.viewport(0, 0, this.width, this.height);
+    }
+  }
+
+  // Run a full-screen pass that samples one texture
+  drawQuad({ program, uniforms }, texture, values) {
+    const gl = this.gl;
+    gl.useProgram(program);
+
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.uniform1i(uniforms.u_texture, 0);
+
+    Object.keys(values).forEach((name) => {
+      const value = values[name];
+      if (name === "u_weights") {
+        gl.uniform1fv(uniforms[name], value);
+      } else if (Array.isArray(value)) {
+        gl.uniform2f(uniforms[name], value[0], value[1]);
+      } else {
+        gl.uniform1f(uniforms[name], value);
+      }
+    });
+
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.quadBuffer);
+    gl.enableVertexAttribArray(ATTRIBUTES.a_position);
+    gl.vertexAttribPointer(ATTRIBUTES.a_position, 2, gl.FLOAT, false, 0, 0);
+    gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+  }
+
+  // Draw every queued glow in one instanced call
+  drawGlows() {
+    if (this.glowCount === 0) return;
+
+    const gl = this.gl;
+    const { program, uniforms } = this.glowProgram;
+    const stride = GLOW_INSTANCE_FLOATS * 4;
+    gl.useProgram(program);
+    gl.uniform2f(uniforms.u_resolution, this.width, this.height);
+
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.quadBuffer);
+    gl.enableVertexAttribArray(ATTRIBUTES.a_position);
+    gl.vertexAttribPointer(ATTRIBUTES.a_position, 2, gl.FLOAT, false, 0, 0);
+
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.glowBuffer);
+    gl.bufferData(
+      gl.ARRAY_BUFFER,
+      this.glowData.subarray(0, this.glowCount * GLOW_INSTANCE_FLOATS),
+      gl.STREAM_DRAW
+    );
+    gl.enableVertexAttribArray(ATTRIBUTES.a_shape);
+    gl.vertexAttribPointer(ATTRIBUTES.a_shape, 4, gl.FLOAT, false, stride, 0);
+    gl.enableVertexAttribArray(ATTRIBUTES.a_color);
+    gl.vertexAttribPointer(ATTRIBUTES.a_color, 4, gl.FLOAT, false, stride, 16);
+
+    this.instancing.divisor(ATTRIBUTES.a_shape, 1);
+    this.instancing.divisor(ATTRIBUTES.a_color, 1);
+    this.instancing.draw(gl.TRIANGLE_STRIP, 0, 4, this.glowCount);
+    this.instancing.divisor(ATTRIBUTES.a_shape, 0);
+    this.instancing.divisor(ATTRIBUTES.a_color, 0);
+
+    gl.disableVertexAttribArray(ATTRIBUTES.a_shape);
+    gl.disableVertexAttribArray(ATTRIBUTES.a_color);
+  }
+
+  // Call a function when the WebGL context is lost; nothing draws after that
+  onContextLost(listener) {
+    this.contextLostListeners.push(listener);
+  }
+
+  // Switch the bloom quality tier ("off", "low" or "high")
+  setBloomQuality(quality) {
+    if (!(quality in BLOOM_QUALITY)) {
+      throw new Error(`Unknown bloom quality "${quality}"`);
+    }
+
+    this.bloomQuality = quality;
+    this.bloomSettings = BLOOM_QUALITY[quality];
+
+    // The blur shader takes a fixed number of taps, unused ones weigh 0
+    this.bloomWeights = new Float32Array(MAX_BLUR_TAPS + 1);
+    if (this.bloomSettings) {
+      this.bloomWeights.set(
+        getBloomWeights(this.bloomSettings).slice(0, MAX_BLUR_TAPS + 1)
+      );
+    }
+
+    this.resize(this.width, this.height);
+  }
+
+  // Set how bright a pixel must be to glow, from 0 (everything) to 0.95
+  setBloomThreshold(threshold) {
+    this.bloomThreshold = clamp(threshold, 0, 0.95);
+  }
+
+  // Set how strongly the glow is added back onto the scene, from 0 to 1
+  setBloomIntensity(intensity) {
+    this.bloomIntensity = clamp(intensity, 0, 1);
+  }
+}
+
+// Create a Canvas 2D renderer in place of a WebGL one, on a fresh copy of
+// the page canvas since one that has created a WebGL context can't create a
+// 2D one. The reason is shown in the debug overlay
+const createCanvasFallback = (canvas, bloomQuality, reason) => {
+  const fresh = canvas.cloneNode(false);
+  canvas.parentNode.replaceChild(fresh, canvas);
+
+  const renderer = new CanvasRenderer(fresh, bloomQuality);
+  renderer.fallbackReason = reason;
+  return renderer;
+};
+
+// Create the best renderer available: WebGL, or Canvas 2D as a fallback
+// Pass "canvas" to skip WebGL. Use renderer.canvas afterwards, since a failed
+// WebGL setup has to swap the page canvas for a fresh one
+const createRenderer = (canvas, bloomQuality, preferred = "webgl") => {
+  if (preferred === "webgl" && WebGLRenderer.isSupported()) {
+    try {
+      return new WebGLRenderer(canvas, bloomQuality);
+    } catch (e) {
+      return createCanvasFallback(canvas, bloomQuality, e.message);
+    }
+  }
+
+  return new CanvasRenderer(canvas, bloomQuality);
+};
@@ -0,0 +1,214 @@
+// Input recording and replay playback
+
+// Replay file format version, checked when a replay is loaded
+// Bump it once per release that changes the input frame or how the
+// simulation plays it out, as older replays would no longer match
+const REPLAY_VERSION = 1;
+
+// Numbers per run in the input stream: the frame fields, then the count
+const REPLAY_RUN_SIZE = INPUT_FRAME_FIELDS.length + 1;
+
+// Read the input frame of the run starting at the given index
+const readReplayRun = (input, index) => {
+  const frame = {};
+  INPUT_FRAME_FIELDS.forEach((field, i) => {
+    frame[field] = input[index + i];
+  });
+  return frame;
+};
+
+// Records the input of a run, one frame per fixed update
+class ReplayRecorder {
+  constructor() {
+    this.recording = false;
+    this.replay = null;
+    this.lastFrame = null;
+  }
+
+  // Begin a new recording for a run started from the given seed
+  start(seed, width, height, lives) {
+    this.recording = true;
+    this.lastFrame = null;
+    this.replay = {
+      version: REPLAY_VERSION,
+      seed,
+      width,
+      height,
+      lives,
+      ticks: 0,
+      score: 0,
+      resizes: [],
+      input: [],
+    };
+  }
+
+  // Store the input used for the next tick
+  record(frame) {
+    if (!this.recording) return;
+
+    const input = this.replay.input;
+    const last = this.lastFrame;
+
+    // Run-length encode: the frame fields and a count per distinct frame
+    if (
+      last &&
+      INPUT_FRAME_FIELDS.every((field) => last[field] === frame[field])
+    ) {
+      input[input.length - 1]++;
+    } else {
+      INPUT_FRAME_FIELDS.forEach((field) => input.push(frame[field]));
+      input.push(1);
+      this.lastFrame = frame;
+    }
+
+    this.replay.ticks++;
+  }
+
+  // Store a change of playfield size, applied before the next tick
+  recordResize(width, height) {
+    if (!this.recording) return;
+    this.replay.resizes.push([this.replay.ticks, width, height]);
+  }
+
+  // Forget the input of the last few ticks, for a run stepped back in time
+  rewind(ticks) {
+    if (!this.recording) return;
+
+    const replay = this.replay;
+    const input = replay.input;
+    let remaining = Math.min(ticks, replay.ticks);
+    replay.ticks -= remaining;
+
+    // Shorten or drop runs from the end
+    while (remaining > 0) {
+      const last = input.length - 1;
+      const count = Math.min(input[last], remaining);
+      input[last] -= count;
+      remaining -= count;
+
+      if (input[last] === 0) {
+        input.length -= REPLAY_RUN_SIZE;
+      }
+    }
+
+    const end = input.length;
+    this.lastFrame =
+      end > 0 ? readReplayRun(input, end - REPLAY_RUN_SIZE) : null;
+
+    // Resizes from the forgotten ticks still hold for the next one
+    replay.resizes.forEach((resize) => {
+      resize[0] = Math.min(resize[0], replay.ticks);
+    });
+  }
+
+  // Drop the recording of a run that no longer follows from its input
+  discard() {
+    this.recording = false;
+    this.replay = null;
+  }
+
+  // Finish the recording and return the replay
+  stop(score) {
+    if (!this.recording) return this.replay;
+
+    this.recording = false;
+    this.replay.score = score;
+    return this.replay;
+  }
+}
+
+// Plays a recorded replay back one frame per fixed update
+class ReplayPlayer {
+  constructor(replay) {
+    this.replay = replay;
+    this.rewind();
+  }
+
+  // Go back to the first tick
+  rewind() {
+    this.tick = 0;
+    this.runIndex = 0;
+    this.runOffset = 0;
+    this.resizeIndex = 0;
+  }
+
+  // Check if every recorded tick has been played
+  isFinished() {
+    return this.tick >= this.replay.ticks;
+  }
+
+  // Get a playfield resize scheduled before the current tick, if any
+  nextResize() {
+    const resize = this.replay.resizes[this.resizeIndex];
+    if (resize && resize[0] <= this.tick) {
+      this.resizeIndex++;
+      return { width: resize[1], height: resize[2] };
+    }
+    return null;
+  }
+
+  // Get the input frame for the current tick and advance
+  next() {
+    const input = this.replay.input;
+    const i = this.runIndex * REPLAY_RUN_SIZE;
+    const frame = readReplayRun(input, i);
+
+    this.runOffset++;
+    if (this.runOffset >= input[i + REPLAY_RUN_SIZE - 1]) {
+      this.runIndex++;
+      this.runOffset = 0;
+    }
+
+    this.tick++;
+    return frame;
+  }
+}
+
+// Convert a replay into the text stored in a replay file
+const serializeReplay = (replay) => {
+  return JSON.stringify(replay);
+};
+
+// Read a replay file, throwing if it is not a valid replay
+const parseReplay = (text) => {
+  let replay;
+  try {
+    replay = JSON.parse(text);
+  } catch (e) {
+    throw new Error("Replay file is not valid JSON");
+  }
+
+  if (!replay || replay.version !== REPLAY_VERSION) {
+    throw new Error("Unsupported replay version");
+  }
+
+  const numbers = ["seed", "width", "height", "lives", "ticks", "score"];
+  for (const key of numbers) {
+    if (typeof replay[key] !== "number") {
+      throw new Error(`Replay is missing "${key}"`);
+    }
+  }
+
+  if (
+    !Array.isArray(replay.input) ||
+    replay.input.length % REPLAY_RUN_SIZE !== 0
+  ) {
+    throw new Error("Replay input stream is corrupt");
+  }
+
+  // The run lengths must add up to the recorded tick count
+  let ticks = 0;
+  for (
+    let i = REPLAY_RUN_SIZE - 1;
+    i < replay.input.length;
+    i += REPLAY_RUN_SIZE
+  ) {
+    ticks += replay.input[i];
+  }
+  if (ticks !== replay.ticks) {
+    throw new Error("Replay input stream is corrupt");
+  }
+
+  replay.resizes = Array.isArray(replay.resizes) ? replay.resizes : [];
+  return replay;
+};
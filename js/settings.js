@@ -0,0 +1,153 @@
+// Player settings, persisted to localStorage
+
+// Storage key for the saved settings
+const SETTINGS_KEY = "starwars.settings";
+
+// Every setting with its default and allowed values
+const SETTINGS_SCHEMA = {
+  graphics: {
+    default: "auto",
+    options: ["auto", "minimal", "low", "medium", "high"],
+  },
+  glow: { default: 0.8, min: 0, max: 1 },
+  shake: { default: 1, min: 0, max: 1 },
+  particles: { default: 1, min: 0.25, max: 1 },
+  masterVolume: { default: 1, min: 0, max: 1 },
+  effectsVolume: { default: 1, min: 0, max: 1 },
+  lives: { default: 3, min: 1, max: 5, integer: true },
+  touchSize: { default: 1, min: 0.5, max: 1.5 },
+  touchOpacity: { default: 0.5, min: 0.1, max: 1 },
+  touchLayout: { default: "right", options: ["right", "left"] },
+};
+
+class Settings {
+  constructor(storage) {
+    this.storage = storage;
+    this.values = {};
+    this.listeners = [];
+
+    Object.keys(SETTINGS_SCHEMA).forEach((key) => {
+      this.values[key] = SETTINGS_SCHEMA[key].default;
+    });
+
+    this.load();
+  }
+
+  // Check a value against the schema, returning the value to store or
+  // undefined when it isn't allowed
+  validate(key, value) {
+    const schema = SETTINGS_SCHEMA[key];
+    if (!schema) return undefined;
+
+    if (schema.options) {
+      return schema.options.includes(value) ? value : undefined;
+    }
+
+    const number = Number(value);
+    if (typeof value === "boolean" || !Number.isFinite(number)) {
+      return undefined;
+    }
+    const clamped = clamp(number, schema.min, schema.max);
+    return schema.integer ? Math.round(clamped) : clamped;
+  }
+
+  // Read the saved settings, ignoring anything missing or invalid
+  load() {
+    let saved = null;
+    try {
+      saved = JSON.parse(this.storage.getItem(SETTINGS_KEY));
+    } catch (e) {
+      // Storage blocked or corrupt: keep the defaults
+    }
+    if (!saved || typeof saved !== "object") return;
+
+    Object.keys(SETTINGS_SCHEMA).forEach((key) => {
+      const value = this.validate(key, saved[key]);
+      if (value !== undefined) {
+        this.values[key] = value;
+      }
+    });
+  }
+
+  // Write the settings to storage
+  save() {
+    try {
+      this.storage.setItem(SETTINGS_KEY, JSON.stringify(this.values));
+    } catch (e) {
+      // Storage full or blocked (private browsing): settings last this session
+    }
+  }
+
+  // Get the value of a setting
+  get(key) {
+    return this.values[key];
+  }
+
+  // Change a setting, save it and tell the listeners
+  set(key, value) {
+    const valid = this.validate(key, value);
+    if (valid === undefined) {
+      throw new Error(`Invalid value for setting "${key}": ${value}`);
+    }
+    if (valid === this.values[key]) return;
+
+    this.values[key] = valid;
+    this.save();
+    this.listeners.forEach((listener) => listener(key, valid));
+  }
+
+  // Put every setting back to its default
+  reset() {
+    Object.keys(SETTINGS_SCHEMA).forEach((key) => {
+      this.set(key, SETTINGS_SCHEMA[key].default);
+    });
+  }
+
+  // Call a function with the key and value whenever a setting changes
+  onChange(listener) {
+    this.listeners.push(listener);
+  }
+}
+
+// Settings menu: every input with a data-setting attribute edits that setting
+class SettingsPanel {
+  constructor(element, settings) {
+    this.element = element;
+    this.settings = settings;
+    this.inputs = Array.from(element.querySelectorAll("[data-setting]"));
+
+    this.inputs.forEach((input) => {
+      const event = input.tagName === "SELECT" ? "change" : "input";
+      input.addEventListener(event, () => {
+        this.settings.set(input.dataset.setting, input.value);
+      });
+    });
+
+    // Keep the inputs in sync when settings change from elsewhere
+    this.settings.onChange(() => this.refresh());
+    this.refresh();
+  }
+
+  // Show the current values in the inputs
+  refresh() {
+    this.inputs.forEach((input) => {
+      input.value = this.settings.get(input.dataset.setting);
+    });
+  }
+
+  // Check if the menu is showing
+  isOpen() {
+    return !this.element.classList.contains("hidden");
+  }
+
+  // Show the menu
+  open() {
+    this.refresh();
+    this.element.classList.remove("hidden");
+  }
+
+  // Hide the menu
+  close() {
+    this.element.classList.add("hidden");
+  }
+}
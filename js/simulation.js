@@ -0,0 +1,207 @@
+// Game simulation without any rendering or DOM wiring
+// Steps the real spawn, collision and scoring rules one fixed tick at a time,
+// so it can run in the browser behind Game or headless under Node
+
+class Simulation {
+  constructor({
+    width = 800,
+    height = 600,
+    seed = randomSeed(),
+    lives = 3,
+  } = {}) {
+    // Playfield size shared by every system
+    this.bounds = { width, height };
+    this.tick = 0;
+
+    // Seeded random number generator shared by every gameplay system
+    this.rng = new RandomGenerator(seed);
+
+    // Game objects
+    this.particles = new ParticleSystem(this.bounds, this.rng);
+    this.grid = new Grid(this.bounds, this.rng);
+    this.player = new Player(this.bounds, this.particles, this.rng);
+    this.enemyManager = new EnemyManager(
+      this.bounds,
+      this.particles,
+      this.player,
+      this.grid,
+      this.rng
+    );
+
+    this.reset(seed, lives);
+  }
+
+  // Get the seed of the run being simulated
+  getSeed() {
+    return this.rng.seed;
+  }
+
+  // Start a new run from the given seed, optionally changing the number of
+  // lives it starts with
+  reset(seed = randomSeed(), lives = this.player.startingLives) {
+    this.rng.setSeed(seed);
+    this.tick = 0;
+    this.player.startingLives = lives;
+
+    this.grid.reset();
+    this.player.reset();
+    this.enemyManager.reset();
+    this.particles.reset();
+  }
+
+  // Change the size of the playfield
+  resize(width, height) {
+    this.bounds.width = width;
+    this.bounds.height = height;
+    this.grid.resize(width, height);
+  }
+
+  // Advance the simulation by one fixed tick using the given controls
+  step(controls) {
+    this.player.applyInput(controls);
+    this.tick++;
+
+    this.grid.update();
+    this.player.update(this.grid);
+
+    // Bring the player back after a lost life, clearing the shots around
+    // the respawn point
+    if (this.player.canRespawn()) {
+      const player = this.player;
+      player.respawn();
+      this.enemyManager.clearProjectilesNear(
+        player.position.x,
+        player.position.y,
+        player.respawnClearRadius
+      );
+    }
+
+    this.enemyManager.update();
+    this.particles.update();
+  }
+
+  // Capture everything needed to continue the run from this tick
+  // Effects are left out and cleared when the state is loaded
+  saveState() {
+    return {
+      tick: this.tick,
+      rng: this.rng.getState(),
+      player: this.player.saveState(),
+      enemyManager: this.enemyManager.saveState(),
+    };
+  }
+
+  // Go back to a state from saveState
+  loadState(state) {
+    this.tick = state.tick;
+    this.player.loadState(state.player);
+    this.enemyManager.loadState(state.enemyManager);
+    this.particles.reset();
+    this.grid.isShaking = false;
+
+    // Last, as rebuilding the enemies draws from the generator
+    this.rng.setState(state.rng);
+  }
+
+  // Check if the run has ended: the last life is lost
+  isOver() {
+    return !this.player.alive && this.player.lives <= 0;
+  }
+
+  // Get the lives left, including the current one
+  getLives() {
+    return this.player.lives;
+  }
+
+  // Get current score
+  getScore() {
+    return this.enemyManager.getScore();
+  }
+
+  // Get the pressure counters of every object pool
+  getPoolStats() {
+    return {
+      ...this.particles.getPoolStats(),
+      projectiles: this.player.projectiles.getStats(),
+      enemyProjectiles: this.enemyManager.enemyProjectiles.getStats(),
+    };
+  }
+
+  // Get a plain snapshot of the gameplay state
+  getState() {
+    const player = this.player;
+    const enemyManager = this.enemyManager;
+
+    return {
+      tick: this.tick,
+      seed: this.getSeed(),
+      score: enemyManager.getScore(),
+      combo: enemyManager.combo,
+      multiplier: enemyManager.scoreMultiplier,
+      bossActive: enemyManager.bossActive,
+      player: {
+        alive: player.alive,
+        lives: player.lives,
+        shield: player.shield,
+        hull: player.hull,
+        invulnerable: player.invulnerable,
+        x: player.position.x,
+        y: player.position.y,
+        vx: player.velocity.x,
+        vy: player.velocity.y,
+        rotation: player.rotation,
+        weapon: player.weapon,
+        weaponTimer: player.weaponTimer,
+        energy: player.energy,
+        charge: player.isCharging() ? player.getCharge() : 0,
+        dashing: player.isDashing(),
+        dashCooldown: player.dashCooldown,
+        heat: player.heat,
+        overheated: player.isOverheated(),
+        torpedoAmmo: player.torpedoAmmo,
+        bombs: player.bombs,
+        beams: player.beams.slice(0, player.beamCount).map((beam) => ({
+          x: beam.x,
+          y: beam.y,
+          angle: beam.angle,
+          length: beam.length,
+        })),
+      },
+      torpedoes: player.torpedoes.map((torpedo) => ({
+        x: torpedo.position.x,
+        y: torpedo.position.y,
+        angle: torpedo.angle,
+        targetId: torpedo.targetId,
+      })),
+      pickups: enemyManager.pickups.map((pickup) => ({
+        weapon: pickup.weapon,
+        x: pickup.position.x,
+        y: pickup.position.y,
+        timer: pickup.timer,
+      })),
+      enemies: enemyManager.enemies.map((enemy) => ({
+        type: enemy.type,
+        x: enemy.position.x,
+        y: enemy.position.y,
+        size: enemy.size,
+        health: enemy.health,
+      })),
+      damageEvents: enemyManager.damageEvents.map((event) => ({
+        type: event.enemy.type,
+        amount: event.amount,
+        killed: event.killed,
+      })),
+      enemyProjectiles: enemyManager.enemyProjectiles.map((projectile) => ({
+        x: projectile.position.x,
+        y: projectile.position.y,
+        size: projectile.size,
+      })),
+      projectiles: player.projectiles.map((projectile) => ({
+        x: projectile.position.x,
+        y: projectile.position.y,
+        size: projectile.size,
+        damage: projectile.damage,
+      })),
+    };
+  }
+}
@@ -0,0 +1,220 @@
+// On-screen twin-stick controls for touch screens: one stick thrusts, the
+// other aims and fires while it is pushed
+
+// Part of a stick's travel ignored around its centre
+const JOYSTICK_DEADZONE = 0.15;
+
+class TouchJoysticks {
+  constructor(element) {
+    this.element = element; // Overlay above the canvas holding both sticks
+
+    // Layout, from the settings
+    this.radius = 60; // Stick travel in CSS pixels at size 1
+    this.size = 1;
+    this.margin = 40; // Gap between a resting stick and the screen edges
+    this.leftHanded = false; // Thrust on the right, aim on the left
+
+    // The sticks only show once the screen has been touched, so mouse
+    // players never see them
+    this.available = false;
+    this.visible = false;
+
+    this.sticks = {
+      move: this.createStick(element.querySelector("[data-stick='move']")),
+      aim: this.createStick(element.querySelector("[data-stick='aim']")),
+    };
+
+    window.addEventListener(
+      "touchstart",
+      () => {
+        if (!this.available) {
+          this.available = true;
+          this.updateVisibility();
+        }
+      },
+      { passive: true }
+    );
+
+    // Touches on the overlay never reach the page, so the browser doesn't
+    // scroll or zoom mid-game
+    element.addEventListener("touchstart", (e) => this.handleStart(e), {
+      passive: false,
+    });
+    element.addEventListener("touchmove", (e) => this.handleMove(e), {
+      passive: false,
+    });
+    element.addEventListener("touchend", (e) => this.handleEnd(e));
+    element.addEventListener("touchcancel", (e) => this.handleEnd(e));
+    window.addEventListener("resize", () => this.layout());
+
+    this.layout();
+  }
+
+  // Create the state of one stick around its base element
+  createStick(base) {
+    return {
+      base,
+      knob: base.querySelector(".joystick-knob"),
+      touchId: null, // Identifier of the finger holding the stick
+      centerX: 0, // Where the finger first landed, or the resting spot
+      centerY: 0,
+      x: 0, // Deflection, each axis in [-1, 1]
+      y: 0,
+    };
+  }
+
+  // Apply the touch control settings
+  configure(size, opacity, leftHanded) {
+    this.size = size;
+    this.leftHanded = leftHanded;
+    this.element.style.opacity = opacity;
+    this.releaseAll();
+  }
+
+  // Show the sticks during play on a touch screen
+  setVisible(visible) {
+    if (visible === this.visible) return;
+    this.visible = visible;
+    this.updateVisibility();
+  }
+
+  // Show or hide the overlay, letting go of the sticks when it hides
+  updateVisibility() {
+    const shown = this.visible && this.available;
+    this.element.classList.toggle("hidden", !shown);
+    if (!shown) {
+      this.releaseAll();
+    }
+  }
+
+  // Get the stick a touch starting at an x position controls
+  getStickAt(x) {
+    const leftSide = x < window.innerWidth / 2;
+    return leftSide !== this.leftHanded ? this.sticks.move : this.sticks.aim;
+  }
+
+  // A finger landed: the stick on that half of the screen centres under it
+  handleStart(e) {
+    e.preventDefault();
+
+    Array.from(e.changedTouches).forEach((touch) => {
+      const stick = this.getStickAt(touch.clientX);
+      if (stick.touchId !== null) return;
+
+      stick.touchId = touch.identifier;
+      stick.centerX = touch.clientX;
+      stick.centerY = touch.clientY;
+      this.setDeflection(stick, 0, 0);
+    });
+    this.layout();
+  }
+
+  // A finger moved: push its stick towards it
+  handleMove(e) {
+    e.preventDefault();
+
+    Array.from(e.changedTouches).forEach((touch) => {
+      const stick = this.findStick(touch.identifier);
+      if (!stick) return;
+
+      const radius = this.radius * this.size;
+      this.setDeflection(
+        stick,
+        (touch.clientX - stick.centerX) / radius,
+        (touch.clientY - stick.centerY) / radius
+      );
+    });
+  }
+
+  // A finger lifted: its stick springs back to rest
+  handleEnd(e) {
+    Array.from(e.changedTouches).forEach((touch) => {
+      const stick = this.findStick(touch.identifier);
+      if (stick) {
+        this.releaseStick(stick);
+      }
+    });
+  }
+
+  // Get the stick held by a finger, if any
+  findStick(touchId) {
+    return (
+      Object.values(this.sticks).find((stick) => stick.touchId === touchId) ||
+      null
+    );
+  }
+
+  // Let go of a stick and move it back to its resting spot
+  releaseStick(stick) {
+    stick.touchId = null;
+    this.setDeflection(stick, 0, 0);
+    this.layout();
+  }
+
+  // Let go of both sticks
+  releaseAll() {
+    Object.values(this.sticks).forEach((stick) => this.releaseStick(stick));
+  }
+
+  // Set how far a stick is pushed, limited to its rim, and move its knob
+  setDeflection(stick, x, y) {
+    const length = Math.sqrt(x * x + y * y);
+    const scale = length > 1 ? 1 / length : 1;
+    stick.x = x * scale;
+    stick.y = y * scale;
+
+    const radius = this.radius * this.size;
+    stick.knob.style.transform = `translate(${stick.x * radius}px, ${
+      stick.y * radius
+    }px)`;
+  }
+
+  // Place and size the sticks, resting ones in the bottom corners
+  layout() {
+    const radius = this.radius * this.size;
+    const restX = this.margin + radius;
+    const restY = window.innerHeight - this.margin - radius;
+
+    Object.keys(this.sticks).forEach((name) => {
+      const stick = this.sticks[name];
+      if (stick.touchId === null) {
+        const onLeft = (name === "move") !== this.leftHanded;
+        stick.centerX = onLeft ? restX : window.innerWidth - restX;
+        stick.centerY = restY;
+      }
+
+      const style = stick.base.style;
+      style.width = style.height = `${radius * 2}px`;
+      style.left = `${stick.centerX - radius}px`;
+      style.top = `${stick.centerY - radius}px`;
+    });
+  }
+
+  // Get a stick's deflection with the dead zone removed, as a vector of
+  // length 0 to 1
+  read(stick) {
+    const length = Math.sqrt(stick.x * stick.x + stick.y * stick.y);
+    if (stick.touchId === null || length < JOYSTICK_DEADZONE) {
+      return { x: 0, y: 0 };
+    }
+
+    const scale = (length - JOYSTICK_DEADZONE) / (1 - JOYSTICK_DEADZONE);
+    return { x: (stick.x / length) * scale, y: (stick.y / length) * scale };
+  }
+
+  // Get the thrust from the movement stick
+  getMove() {
+    return this.read(this.sticks.move);
+  }
+
+  // Get the aim direction from the aim stick
+  getAim() {
+    return this.read(this.sticks.aim);
+  }
+
+  // Check if the aim stick is pushed far enough to fire
+  isFiring() {
+    const aim = this.getAim();
+    return aim.x !== 0 || aim.y !== 0;
+  }
+}
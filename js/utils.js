@@ -1,17 +1,91 @@
 // Utility functions for the game
 
-// Random number between min and max (inclusive)
-const random = (min, max) => Math.random() * (max - min) + min;
+// Hash a string into an unsigned 32-bit integer (FNV-1a)
+const hashString = (text) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
 
-// Random integer between min and max (inclusive)
-const randomInt = (min, max) => Math.floor(random(min, max + 1));
+// Pick a fresh seed for a new run (the only non-deterministic source)
+const randomSeed = () => Math.floor(Math.random() * 4294967296) >>> 0;
 
-// Random color generator
-const randomColor = () => {
-  const colors = ["#ff0", "#0ff", "#f0f", "#0f0", "#f00", "#00f"];
-  return colors[randomInt(0, colors.length - 1)];
+// Turn user input into a seed: numbers are used as-is, text is hashed
+const parseSeed = (value) => {
+  const text = String(value === undefined || value === null ? "" : value);
+  const trimmed = text.trim();
+  if (trimmed === "") return randomSeed();
+  if (/^\d+$/.test(trimmed)) return Number(trimmed) >>> 0;
+  return hashString(trimmed);
 };
 
+// Seedable pseudo-random number generator (mulberry32)
+// Every gameplay decision draws from one of these so runs can be reproduced
+class RandomGenerator {
+  constructor(seed = randomSeed()) {
+    this.setSeed(seed);
+  }
+
+  // Restart the sequence from the given seed
+  setSeed(seed) {
+    this.seed = seed >>> 0;
+    this.state = this.seed;
+  }
+
+  // Next number in [0, 1)
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  // Random number between min and max
+  range(min, max) {
+    return this.next() * (max - min) + min;
+  }
+
+  // Random integer between min and max (inclusive)
+  int(min, max) {
+    return Math.floor(this.range(min, max + 1));
+  }
+
+  // True with the given probability
+  chance(probability) {
+    return this.next() < probability;
+  }
+
+  // Random element of an array
+  pick(items) {
+    return items[this.int(0, items.length - 1)];
+  }
+
+  // Create an independent stream tied to this seed, so cosmetic systems
+  // can consume numbers without shifting the gameplay sequence
+  derive(label) {
+    return new RandomGenerator(this.seed ^ hashString(label));
+  }
+
+  // Save and restore the position in the sequence
+  getState() {
+    return this.state;
+  }
+
+  setState(state) {
+    this.state = state >>> 0;
+  }
+}
+
+// Colors enemies can be painted with
+const ENEMY_COLORS = ["#ff0", "#0ff", "#f0f", "#0f0", "#f00", "#00f"];
+
+// Pick an enemy color from a generator
+const randomColor = (rng) => rng.pick(ENEMY_COLORS);
+
 // Vector class for position, velocity, and acceleration calculations
 class Vector {
   constructor(x = 0, y = 0) {
@@ -19,6 +93,13 @@ class Vector {
     this.y = y;
   }
 
+  // Set both components of this vector
+  set(x, y) {
+    this.x = x;
+    this.y = y;
+    return this;
+  }
+
   // Add another vector to this vector
   add(v) {
     this.x += v.x;
@@ -113,6 +194,247 @@ class Vector {
   }
 }
 
+// Fixed-capacity pool of reusable objects
+// Live objects are packed at the front of items[0..length), so removing one
+// swaps the last live object into its slot instead of splicing the array
+class ObjectPool {
+  constructor(create, capacity) {
+    this.create = create;
+    this.capacity = capacity;
+    this.items = [];
+    this.length = 0;
+
+    for (let i = 0; i < capacity; i++) {
+      this.items.push(create());
+    }
+
+    // Pressure counters
+    this.peak = 0; // Most objects live at once
+    this.acquired = 0; // Objects handed out since the last reset
+    this.dropped = 0; // Requests refused because the pool was full
+  }
+
+  // Take a free object, or null when every object is in use
+  acquire() {
+    if (this.length >= this.capacity) {
+      this.dropped++;
+      return null;
+    }
+
+    const item = this.items[this.length++];
+    this.acquired++;
+    if (this.length > this.peak) {
+      this.peak = this.length;
+    }
+    return item;
+  }
+
+  // Free the object at the given index
+  // The last live object moves into the slot, so iterate backwards when
+  // releasing during a loop
+  release(index) {
+    const last = --this.length;
+    if (index !== last) {
+      const item = this.items[index];
+      this.items[index] = this.items[last];
+      this.items[last] = item;
+    }
+  }
+
+  // Free the given object
+  releaseItem(item) {
+    const index = this.items.indexOf(item);
+    if (index !== -1 && index < this.length) {
+      this.release(index);
+    }
+  }
+
+  // Call a function for every live object
+  forEach(callback) {
+    for (let i = 0; i < this.length; i++) {
+      callback(this.items[i], i);
+    }
+  }
+
+  // Map every live object into a new array
+  map(callback) {
+    const result = [];
+    for (let i = 0; i < this.length; i++) {
+      result.push(callback(this.items[i], i));
+    }
+    return result;
+  }
+
+  // Copy the live objects (see Simulation.saveState)
+  saveState() {
+    return this.map(cloneData);
+  }
+
+  // Replace the live objects with copies of saved ones
+  loadState(saved) {
+    this.length = Math.min(saved.length, this.capacity);
+    for (let i = 0; i < this.length; i++) {
+      Object.assign(this.items[i], cloneData(saved[i]));
+    }
+  }
+
+  // Change how many objects can be live at once
+  // Shrinking frees the newest live objects that no longer fit
+  setCapacity(capacity) {
+    while (this.items.length < capacity) {
+      this.items.push(this.create());
+    }
+
+    this.capacity = capacity;
+    this.length = Math.min(this.length, capacity);
+  }
+
+  // Free every object and reset the counters
+  clear() {
+    this.length = 0;
+    this.peak = 0;
+    this.acquired = 0;
+    this.dropped = 0;
+  }
+
+  // Get the pressure counters
+  getStats() {
+    return {
+      active: this.length,
+      capacity: this.capacity,
+      peak: this.peak,
+      acquired: this.acquired,
+      dropped: this.dropped,
+    };
+  }
+}
+
+// Reverse part of an array in place, from index from up to (not including) to
+const reverseRange = (items, from, to) => {
+  for (let i = from, j = to - 1; i < j; i++, j--) {
+    const item = items[i];
+    items[i] = items[j];
+    items[j] = item;
+  }
+};
+
+// Fixed-capacity ring of reusable objects, kept oldest first
+// Acquiring from a full ring recycles the oldest object
+class ObjectRing {
+  constructor(create, capacity) {
+    this.create = create;
+    this.capacity = capacity;
+    this.items = [];
+    this.start = 0; // Index of the oldest live object
+    this.length = 0;
+
+    for (let i = 0; i < capacity; i++) {
+      this.items.push(create());
+    }
+
+    // Pressure counters
+    this.peak = 0; // Most objects live at once
+    this.acquired = 0; // Objects handed out since the last reset
+    this.recycled = 0; // Live objects reused because the ring was full
+  }
+
+  // Take the next object, recycling the oldest one when full
+  acquire() {
+    if (this.length >= this.capacity) {
+      this.releaseOldest();
+      this.recycled++;
+    }
+
+    const item = this.items[(this.start + this.length) % this.capacity];
+    this.length++;
+    this.acquired++;
+    if (this.length > this.peak) {
+      this.peak = this.length;
+    }
+    return item;
+  }
+
+  // Get the live object at the given age order (0 is the oldest)
+  get(index) {
+    return this.items[(this.start + index) % this.capacity];
+  }
+
+  // Free the oldest live object
+  releaseOldest() {
+    this.start = (this.start + 1) % this.capacity;
+    this.length--;
+  }
+
+  // Free the newest live object
+  releaseNewest() {
+    this.length--;
+  }
+
+  // Call a function for every live object, oldest first
+  forEach(callback) {
+    for (let i = 0; i < this.length; i++) {
+      callback(this.get(i), i);
+    }
+  }
+
+  // Change how many objects can be live at once
+  // Shrinking frees the oldest live objects that no longer fit
+  setCapacity(capacity) {
+    const dropped = Math.max(0, this.length - capacity);
+
+    // Lay the ring out again from index 0, oldest kept object first; the
+    // freed ones wrap round to the end and stay as spares
+    this.rotate((this.start + dropped) % this.capacity);
+    while (this.items.length < capacity) {
+      this.items.push(this.create());
+    }
+
+    this.capacity = capacity;
+    this.start = 0;
+    this.length -= dropped;
+  }
+
+  // Move the ring's slots left in place so the given slot comes first,
+  // reversing both halves and then the whole
+  rotate(first) {
+    reverseRange(this.items, 0, first);
+    reverseRange(this.items, first, this.capacity);
+    reverseRange(this.items, 0, this.capacity);
+  }
+
+  // Free every object and reset the counters
+  clear() {
+    this.start = 0;
+    this.length = 0;
+    this.peak = 0;
+    this.acquired = 0;
+    this.recycled = 0;
+  }
+
+  // Get the pressure counters
+  getStats() {
+    return {
+      active: this.length,
+      capacity: this.capacity,
+      peak: this.peak,
+      acquired: this.acquired,
+      recycled: this.recycled,
+    };
+  }
+}
+
+// Create an empty projectile for a projectile pool
+const createProjectile = () => ({
+  position: new Vector(),
+  velocity: new Vector(),
+  size: 0,
+  damage: 0,
+  color: "#ffffff",
+  bounces: 0, // Screen edge bounces left
+  pierce: false, // Passes through enemies instead of stopping at the first
+  hits: [], // Ids of the enemies a piercing shot has already hit
+});
+
 // Calculate distance between two points
 const distance = (x1, y1, x2, y2) => {
   const dx = x2 - x1;
@@ -125,6 +447,25 @@ const circleCollision = (x1, y1, r1, x2, y2, r2) => {
   return distance(x1, y1, x2, y2) < r1 + r2;
 };
 
+// Deep copy of plain data: arrays, objects and class instances such as
+// Vector, which keep their prototype. Functions are left out
+const cloneData = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(cloneData);
+  }
+  if (value === null || typeof value !== "object") {
+    return value;
+  }
+
+  const copy = Object.create(Object.getPrototypeOf(value));
+  Object.keys(value).forEach((key) => {
+    if (typeof value[key] !== "function") {
+      copy[key] = cloneData(value[key]);
+    }
+  });
+  return copy;
+};
+
 // Clamp a value between min and max
 const clamp = (value, min, max) => {
   return Math.max(min, Math.min(max, value));